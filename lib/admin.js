@@ -0,0 +1,164 @@
+// Admin cache commands
+
+const { isArchiveArticleUrl, normalizeArticleUrl } = require('./urls');
+const { searchIndex } = require('./search-index');
+const {
+    articleCache, articleTimestamp, findStoredArticle, persistArticleStore,
+    removeArticleFromMemory, storeArticle, storeState
+} = require('./article-store');
+const { recentScrapeFailures, scrapeArticle } = require('./scraper');
+const { escapeSlackText, sanitizeSlackText, slackDate, unwrapSlackLink } = require('./format');
+const { canAdministerCache } = require('./permissions');
+const { CACHE_DURATION, isRefreshRunning, refreshArticleCache, refreshStatus } = require('./crawler');
+
+function formatCacheStatus() {
+    const articles = Array.from(articleCache.values());
+    const oldest = articles.reduce((found, article) =>
+        !found || articleTimestamp(article) < articleTimestamp(found) ? article : found, null);
+    const checkedAt = article => new Date(article.checkedAt || article.scrapedAt || 0).getTime();
+    const stalest = articles.reduce((found, article) =>
+        !found || checkedAt(article) < checkedAt(found) ? article : found, null);
+    
+    const lines = [`📚 *Cached articles:* ${articleCache.size} (${searchIndex.postings.size} index terms)`];
+    
+    if (isRefreshRunning()) {
+        lines.push(`🔄 *Refresh running* since ${slackDate(refreshStatus.startedAt)}, ${refreshStatus.scraped} pages so far`);
+    }
+    if (storeState.lastCacheTime) {
+        lines.push(`✅ *Last refresh:* ${slackDate(storeState.lastCacheTime)}`);
+        lines.push(`⏭️ *Next refresh:* ${slackDate(storeState.lastCacheTime + CACHE_DURATION)}`);
+    } else {
+        lines.push('✅ *Last refresh:* never');
+    }
+    if (refreshStatus.finishedAt) {
+        const seconds = Math.round((refreshStatus.finishedAt - refreshStatus.startedAt) / 1000);
+        lines.push(`⏱️ *Last crawl:* ${refreshStatus.scraped} pages in ${seconds}s, ${refreshStatus.failures} failure${refreshStatus.failures !== 1 ? 's' : ''}` +
+            (refreshStatus.error ? `\n❌ *Crawl error:* ${escapeSlackText(refreshStatus.error)}` : ''));
+    }
+    if (oldest) {
+        lines.push(`📜 *Oldest article:* <${oldest.url}|${sanitizeSlackText(oldest.title)}>` +
+            (oldest.publishDate ? ` (published ${slackDate(oldest.publishDate)})` : ''));
+        lines.push(`🕰️ *Least recently checked:* <${stalest.url}|${sanitizeSlackText(stalest.title)}> (${slackDate(checkedAt(stalest))})`);
+    }
+    
+    const blocks = [{ type: "section", text: { type: "mrkdwn", text: `🛠️ *Workline cache status*\n\n${lines.join('\n')}` } }];
+    
+    if (recentScrapeFailures.length > 0) {
+        const failures = recentScrapeFailures.slice(-5).reverse()
+            .map(failure => `• ${escapeSlackText(failure.url)} - ${escapeSlackText(failure.error)} (${slackDate(failure.at)})`);
+        blocks.push({ type: "section", text: { type: "mrkdwn", text: `*Recent scrape failures:*\n${failures.join('\n')}` } });
+    }
+    
+    return { text: `Workline cache: ${articleCache.size} articles`, blocks };
+}
+
+// A crawl can outlive the command's response_url (30 minutes, 5 uses), so the result goes to the admin's DMs
+async function runAdminRefresh(client, userId) {
+    try {
+        await refreshArticleCache();
+    } catch (error) {
+        console.error('❌ Admin refresh error:', error);
+    }
+    
+    try {
+        const { channel } = await client.conversations.open({ users: userId });
+        await client.chat.postMessage({
+            channel: channel.id,
+            text: refreshStatus.error
+                ? `❌ Refresh failed: ${escapeSlackText(refreshStatus.error)}`
+                : `✅ Refresh finished: ${articleCache.size} articles cached, ${refreshStatus.failures} failure${refreshStatus.failures !== 1 ? 's' : ''}.`
+        });
+    } catch (error) {
+        console.error('❌ Could not report refresh result:', error.data?.error || error.message);
+    }
+}
+
+async function handleAdminRefresh({ command, respond, client }) {
+    if (isRefreshRunning()) {
+        await respond({ text: `🔄 A refresh is already running (${refreshStatus.scraped} pages so far). Check \`/workline admin status\`.` });
+        return;
+    }
+    
+    await respond({ text: "🔄 Refresh started. I'll send you a DM when it finishes." });
+    runAdminRefresh(client, command.user_id);
+}
+
+async function handleAdminStatus({ respond }) {
+    await respond(formatCacheStatus());
+}
+
+// Fetch an article again from scratch (no conditional GET) and rebuild its index entry
+async function handleAdminReindex({ args, respond }) {
+    const url = unwrapSlackLink(args.join(' '));
+    if (!isArchiveArticleUrl(url)) {
+        await respond({ text: "*Usage:* `/workline admin reindex <Workline article URL>`" });
+        return;
+    }
+    
+    const existing = findStoredArticle(url);
+    const article = await scrapeArticle(existing ? existing.url : normalizeArticleUrl(url));
+    if (!article) {
+        await respond({ text: `❌ Couldn't fetch ${escapeSlackText(url)}. ${existing ? 'The cached copy was kept.' : ''}`.trim() });
+        return;
+    }
+    
+    storeArticle(article);
+    persistArticleStore();
+    await respond({
+        text: `✅ Reindexed *<${article.url}|${sanitizeSlackText(article.title)}>* ` +
+              `(${article.wordCount} words, ${(article.sections || []).length} sections)`
+    });
+}
+
+async function handleAdminForget({ args, respond }) {
+    const url = unwrapSlackLink(args.join(' '));
+    const article = /^https?:\/\//.test(url) ? removeArticleFromMemory(url) : null;
+    
+    if (!article) {
+        await respond({ text: url ? `🤷 *${escapeSlackText(url)}* isn't in the cache.` : "*Usage:* `/workline admin forget <article URL>`" });
+        return;
+    }
+    
+    persistArticleStore();
+    await respond({
+        text: `🗑️ Removed *${sanitizeSlackText(article.title)}* from the cache and search index. ` +
+              "It will come back if the crawler still finds it on the site."
+    });
+}
+
+const adminSubcommands = new Map([
+    ['refresh', handleAdminRefresh],
+    ['status', handleAdminStatus],
+    ['reindex', handleAdminReindex],
+    ['forget', handleAdminForget]
+]);
+
+function isAdminSubcommand(name) {
+    return adminSubcommands.has(name.toLowerCase());
+}
+
+async function handleAdminCommand({ command, args, respond, client }) {
+    if (!await canAdministerCache(client, command.user_id)) {
+        await respond({ text: "🔒 Only Workline admins can manage the article cache." });
+        return;
+    }
+    
+    const [name = '', ...rest] = args;
+    const handler = adminSubcommands.get(name.toLowerCase());
+    if (!handler) {
+        await respond({
+            text: "*Admin commands:*\n• `/workline admin status` - Cache size, last refresh and failures\n" +
+                  "• `/workline admin refresh` - Crawl the archive now\n" +
+                  "• `/workline admin reindex <url>` - Fetch one article again and re-index it\n" +
+                  "• `/workline admin forget <url>` - Drop an article from the cache"
+        });
+        return;
+    }
+    
+    await handler({ command, args: rest, respond, client });
+}
+
+module.exports = {
+    isAdminSubcommand,
+    handleAdminCommand
+};
@@ -0,0 +1,310 @@
+// Search and click analytics, and per-user search history
+
+const fs = require('fs');
+const { ANALYTICS_FILE, DATA_DIR, SEARCH_HISTORY_FILE } = require('./config');
+const { readJsonFile, writeJsonFile } = require('./storage');
+const { observeSearchLatency } = require('./metrics');
+const { canonicalizeUrl } = require('./urls');
+const { findStoredArticle } = require('./article-store');
+const { escapeSlackText, sanitizeSlackText, slackDate } = require('./format');
+const { isWorkspaceAdmin } = require('./permissions');
+
+// Search analytics (append-only JSON lines: one event per query or click)
+function recordAnalyticsEvent(event) {
+    try {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.appendFileSync(ANALYTICS_FILE, JSON.stringify({ ts: new Date().toISOString(), ...event }) + '\n');
+    } catch (error) {
+        console.error('❌ Could not record analytics event:', error.message);
+    }
+}
+
+function recordSearchEvent({ query, surface, userId, teamId, page, startedAt }) {
+    observeSearchLatency(surface, (Date.now() - startedAt) / 1000);
+    recordSearchHistory(userId, { query, surface, resultCount: page ? page.total : 0 });
+    recordAnalyticsEvent({
+        type: 'query',
+        searchId: page?.searchId || null,
+        query,
+        surface,
+        userId,
+        teamId,
+        resultCount: page ? page.total : 0,
+        zeroResult: !page || page.total === 0,
+        latencyMs: Date.now() - startedAt
+    });
+}
+
+function recordClickEvent({ searchId, query, url, rank, userId, teamId }) {
+    recordAnalyticsEvent({ type: 'click', searchId, query, url, rank, userId, teamId });
+}
+
+// Events since `since`, limited to one workspace when `teamId` is given
+function loadAnalyticsEvents(since, teamId = null) {
+    let lines = [];
+    try {
+        lines = fs.readFileSync(ANALYTICS_FILE, 'utf8').split('\n');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('❌ Could not read analytics:', error.message);
+        }
+    }
+    
+    const events = [];
+    lines.forEach(line => {
+        if (!line.trim()) return;
+        try {
+            const event = JSON.parse(line);
+            if ((!since || new Date(event.ts) >= since) && (!teamId || event.teamId === teamId)) {
+                events.push(event);
+            }
+        } catch (e) {
+            // Skip corrupt lines
+        }
+    });
+    return events;
+}
+
+// "24h", "7d", "4w" -> milliseconds
+const STATS_WINDOW_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+function parseTimeWindow(text) {
+    const match = /^(\d+)([hdw])$/i.exec(text || '');
+    return match ? Number(match[1]) * STATS_WINDOW_UNITS[match[2].toLowerCase()] : null;
+}
+
+function countBy(items, keyFn) {
+    const counts = new Map();
+    items.forEach(item => {
+        const key = keyFn(item);
+        if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+function normalizeQueryForStats(query) {
+    return (query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function summarizeAnalytics(events) {
+    const queries = events.filter(event => event.type === 'query');
+    const clicks = events.filter(event => event.type === 'click');
+    const latencies = queries.map(event => event.latencyMs).filter(Number.isFinite).sort((a, b) => a - b);
+    
+    return {
+        searchCount: queries.length,
+        clickCount: clicks.length,
+        zeroResultCount: queries.filter(event => event.zeroResult).length,
+        medianLatencyMs: latencies.length ? latencies[Math.floor(latencies.length / 2)] : null,
+        topQueries: countBy(queries, event => normalizeQueryForStats(event.query)).slice(0, 10),
+        zeroResultQueries: countBy(queries.filter(event => event.zeroResult), event => normalizeQueryForStats(event.query)).slice(0, 10),
+        topClicked: countBy(clicks, event => event.url && canonicalizeUrl(event.url)).slice(0, 10),
+        averageClickRank: clicks.length
+            ? clicks.reduce((sum, event) => sum + (event.rank || 0), 0) / clicks.length
+            : null
+    };
+}
+
+function escapeCsvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const ANALYTICS_CSV_COLUMNS = ['ts', 'type', 'searchId', 'surface', 'userId', 'teamId', 'query', 'resultCount', 'zeroResult', 'latencyMs', 'rank', 'url'];
+
+function analyticsToCsv(events) {
+    return [
+        ANALYTICS_CSV_COLUMNS.join(','),
+        ...events.map(event => ANALYTICS_CSV_COLUMNS.map(column => escapeCsvField(event[column])).join(','))
+    ].join('\n') + '\n';
+}
+
+function formatStatsReport(summary, windowLabel) {
+    const list = (entries, format) => entries.length
+        ? entries.map(([key, count], i) => `${i + 1}. ${format(key)} — ${count}`).join('\n')
+        : '_None_';
+    const articleLabel = url => {
+        const article = findStoredArticle(url);
+        return `<${url}|${article ? sanitizeSlackText(article.title) : url}>`;
+    };
+    const zeroRate = summary.searchCount
+        ? Math.round(summary.zeroResultCount / summary.searchCount * 100)
+        : 0;
+    
+    return {
+        blocks: [
+            {
+                type: "section",
+                text: {
+                    type: "mrkdwn",
+                    text: `📊 *Workline search stats — last ${windowLabel}*\n` +
+                          `${summary.searchCount} searches • ${summary.zeroResultCount} with no results (${zeroRate}%) • ` +
+                          `${summary.clickCount} clicks` +
+                          (summary.medianLatencyMs !== null ? ` • median latency ${summary.medianLatencyMs} ms` : '') +
+                          (summary.averageClickRank !== null ? ` • average clicked rank ${summary.averageClickRank.toFixed(1)}` : '')
+                }
+            },
+            { type: "divider" },
+            {
+                type: "section",
+                text: { type: "mrkdwn", text: `*🔥 Top queries*\n${list(summary.topQueries, query => `\`${query}\``)}` }
+            },
+            {
+                type: "section",
+                text: { type: "mrkdwn", text: `*🤷 Zero-result queries*\n${list(summary.zeroResultQueries, query => `\`${query}\``)}` }
+            },
+            {
+                type: "section",
+                text: { type: "mrkdwn", text: `*👆 Most-clicked articles*\n${list(summary.topClicked, articleLabel)}` }
+            },
+            {
+                type: "context",
+                elements: [{ type: "mrkdwn", text: "💡 `/workline stats 30d` for another window, add `csv` to get the raw events" }]
+            }
+        ]
+    };
+}
+
+// /workline stats [24h|7d|30d] [csv] (admins only)
+async function handleStatsCommand({ command, args, respond, client }) {
+    if (!(await isWorkspaceAdmin(client, command.user_id))) {
+        await respond({ text: "🔒 Search stats are only available to workspace admins." });
+        return;
+    }
+    
+    const windowArg = args.find(arg => parseTimeWindow(arg));
+    const windowLabel = windowArg ? windowArg.toLowerCase() : '7d';
+    const since = new Date(Date.now() - parseTimeWindow(windowLabel));
+    const events = loadAnalyticsEvents(since, command.team_id);
+    
+    if (args.some(arg => arg.toLowerCase() === 'csv')) {
+        const { channel } = await client.conversations.open({ users: command.user_id });
+        await client.files.uploadV2({
+            channel_id: channel.id,
+            filename: `workline-analytics-${windowLabel}.csv`,
+            content: analyticsToCsv(events),
+            initial_comment: `📊 Workline search events for the last ${windowLabel} (${events.length} rows)`
+        });
+        await respond({ text: "📎 Sent you the CSV export in a DM." });
+        return;
+    }
+    
+    await respond(formatStatsReport(summarizeAnalytics(events), windowLabel));
+}
+
+// Per-user search history, newest first, for /workline history and the Home tab
+const SEARCH_HISTORY_LIMIT = 50;
+let searchHistory = null;
+
+function getSearchHistoryStore() {
+    if (!searchHistory) {
+        searchHistory = readJsonFile(SEARCH_HISTORY_FILE, {});
+    }
+    return searchHistory;
+}
+
+function persistSearchHistory() {
+    try {
+        writeJsonFile(SEARCH_HISTORY_FILE, getSearchHistoryStore());
+    } catch (error) {
+        console.error('❌ Could not persist search history:', error.message);
+    }
+}
+
+function getSearchHistory(userId) {
+    return getSearchHistoryStore()[userId] || [];
+}
+
+// Re-running a query moves it to the top rather than listing it twice
+function recordSearchHistory(userId, { query, surface, resultCount }) {
+    const key = normalizeQueryForStats(query);
+    if (!userId || !key) return;
+    
+    const store = getSearchHistoryStore();
+    const history = getSearchHistory(userId).filter(entry => normalizeQueryForStats(entry.query) !== key);
+    history.unshift({ query, surface, resultCount, searchedAt: new Date().toISOString() });
+    store[userId] = history.slice(0, SEARCH_HISTORY_LIMIT);
+    persistSearchHistory();
+}
+
+function clearSearchHistory(userId) {
+    delete getSearchHistoryStore()[userId];
+    persistSearchHistory();
+}
+
+const HISTORY_PAGE_SIZE = 15;
+const SEARCH_SURFACE_LABELS = { slash: '/workline', dm: 'DM', question: 'DM question', mention: '@mention', home: 'Home tab', shortcut: 'Message shortcut' };
+
+function formatSearchHistory(userId) {
+    const history = getSearchHistory(userId);
+    
+    if (history.length === 0) {
+        return { text: "🕘 No searches yet. Try `/workline hybrid work`." };
+    }
+    
+    const blocks = [
+        {
+            type: "section",
+            text: { type: "mrkdwn", text: `🕘 *Your recent searches* (${Math.min(history.length, HISTORY_PAGE_SIZE)} of ${history.length})` }
+        },
+        { type: "divider" }
+    ];
+    
+    history.slice(0, HISTORY_PAGE_SIZE).forEach((entry, index) => {
+        blocks.push(
+            {
+                type: "section",
+                text: { type: "mrkdwn", text: `*${escapeSlackText(entry.query)}*` },
+                accessory: {
+                    type: "button",
+                    text: { type: "plain_text", text: "🔁 Run again" },
+                    action_id: `history_rerun_${index}`,
+                    value: entry.query.substring(0, 1500)
+                }
+            },
+            {
+                type: "context",
+                elements: [{
+                    type: "mrkdwn",
+                    text: `${slackDate(entry.searchedAt)} • ${SEARCH_SURFACE_LABELS[entry.surface] || entry.surface} • ` +
+                          `${entry.resultCount} result${entry.resultCount !== 1 ? 's' : ''}`
+                }]
+            }
+        );
+    });
+    
+    blocks.push({
+        type: "actions",
+        elements: [{
+            type: "button",
+            text: { type: "plain_text", text: "Clear history" },
+            action_id: "clear_history",
+            style: "danger",
+            confirm: {
+                title: { type: "plain_text", text: "Clear search history?" },
+                text: { type: "plain_text", text: "This removes your searches from Workline, including the Home tab." },
+                confirm: { type: "plain_text", text: "Clear" },
+                deny: { type: "plain_text", text: "Cancel" }
+            }
+        }]
+    });
+    
+    return { text: `Your recent Workline searches`, blocks };
+}
+
+// /workline history
+async function handleHistoryCommand({ command, respond }) {
+    await respond(formatSearchHistory(command.user_id));
+}
+
+module.exports = {
+    recordSearchEvent,
+    recordClickEvent,
+    loadAnalyticsEvents,
+    parseTimeWindow,
+    handleStatsCommand,
+    getSearchHistory,
+    clearSearchHistory,
+    handleHistoryCommand
+};
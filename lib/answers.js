@@ -0,0 +1,190 @@
+// Answers to questions, quoted from cached articles
+
+const {
+    STOP_WORDS, getArticleBody, parseSearchQuery, queryIndex, splitWords, tokenizeText
+} = require('./search-index');
+const { articleCache } = require('./article-store');
+const {
+    escapeSlackText, findBestPassage, getHighlightTerms, highlightTerms, sanitizeSlackText,
+    trimAroundFirstMatch
+} = require('./format');
+
+// Question answering over the cached articles
+// Retrieval finds the paragraphs that best cover the question; an answer model then picks what to quote.
+// Models can only return verbatim quotes from those paragraphs, so an answer never says anything the
+// articles don't: quotes that aren't found word-for-word in their paragraph are dropped.
+//   name          - ANSWER_MODEL value that selects it
+//   answer(question, passages) → [{ passage, quote }]  (passage is an index into passages)
+const QA_MAX_ARTICLES = 8; // Top-ranked articles searched for paragraphs
+const QA_MAX_PASSAGES = 3; // Quotes in one answer
+const QA_MAX_PASSAGES_PER_ARTICLE = 2;
+const QA_MIN_COVERAGE = 0.5; // Share of the question's terms a paragraph must contain
+const QA_QUOTE_MAX_LENGTH = 400;
+const QUESTION_START_PATTERN = /^(what|how|why|when|where|who|which|does|do|did|is|are|can|could|should|would|will|has|have)\b/i;
+// Words that say who or where rather than what the question is about
+const QUESTION_FILLER_WORDS = new Set(['phil', 'kirschner', 'say', 'says', 'said', 'think', 'thinks', 'write', 'writes', 'wrote', 'tell', 'workline', 'article', 'articles']);
+
+function isQuestion(text) {
+    return text.split(/\s+/).length >= 3 && (/\?\s*$/.test(text) || QUESTION_START_PATTERN.test(text));
+}
+
+function questionToQuery(question) {
+    return splitWords(question).filter(word => !QUESTION_FILLER_WORDS.has(word) && !STOP_WORDS.has(word)).join(' ');
+}
+
+// Paragraphs from the best-matching articles, ranked by how much of the question they cover
+function retrievePassages(question) {
+    const parsed = parseSearchQuery(questionToQuery(question));
+    if (parsed.terms.length === 0) return { parsed, passages: [] };
+    
+    const terms = new Set(parsed.terms);
+    const ranked = queryIndex(parsed, articleCache).slice(0, QA_MAX_ARTICLES);
+    const topScore = ranked[0]?.score || 1;
+    const candidates = [];
+    
+    ranked.forEach(({ url, score }) => {
+        const article = articleCache.get(url);
+        const sections = article.sections && article.sections.length > 0
+            ? article.sections
+            : [{ heading: null, paragraphs: [getArticleBody(article)] }];
+        
+        sections.forEach(section => section.paragraphs.forEach(text => {
+            const matched = new Set(tokenizeText(text).filter(term => terms.has(term)));
+            const coverage = matched.size / terms.size;
+            if (coverage < QA_MIN_COVERAGE) return;
+            candidates.push({ article, section, text, coverage, score: coverage * 2 + score / topScore });
+        }));
+    });
+    
+    candidates.sort((a, b) => b.score - a.score);
+    const perArticle = new Map();
+    const passages = candidates.filter(candidate => {
+        const count = perArticle.get(candidate.article.url) || 0;
+        perArticle.set(candidate.article.url, count + 1);
+        return count < QA_MAX_PASSAGES_PER_ARTICLE;
+    });
+    
+    return { parsed, passages };
+}
+
+// Default model: works offline and quotes the sentences of each top paragraph that match the question
+const extractiveAnswerModel = {
+    name: 'extractive',
+    answer: async (question, passages) => {
+        const parsed = parseSearchQuery(questionToQuery(question));
+        const terms = getHighlightTerms(parsed);
+        
+        return passages.slice(0, QA_MAX_PASSAGES).map((passage, index) => {
+            const best = findBestPassage({ sections: [{ paragraphs: [passage.text] }] }, parsed, terms);
+            const quote = passage.text.length <= QA_QUOTE_MAX_LENGTH ? passage.text : (best || passage.text);
+            return { passage: index, quote: trimAroundFirstMatch(quote, terms, QA_QUOTE_MAX_LENGTH) };
+        });
+    }
+};
+
+const AVAILABLE_ANSWER_MODELS = [extractiveAnswerModel];
+
+function createAnswerModel() {
+    const name = process.env.ANSWER_MODEL || extractiveAnswerModel.name;
+    const model = AVAILABLE_ANSWER_MODELS.find(candidate => candidate.name === name);
+    if (!model) {
+        console.log(`⚠️ Unknown ANSWER_MODEL "${name}" - using ${extractiveAnswerModel.name}`);
+    }
+    return model || extractiveAnswerModel;
+}
+
+const answerModel = createAnswerModel();
+
+const collapseWhitespace = text => (text || '').replace(/\s+/g, ' ').trim();
+
+// Keep only quotes that appear word-for-word in the passage they cite
+function verifyQuotes(quotes, passages) {
+    const seen = new Set();
+    return (quotes || []).filter(({ passage, quote }) => {
+        const source = passages[passage];
+        const text = collapseWhitespace(quote).replace(/^…|…$/g, '').trim();
+        if (!source || !text || seen.has(passage) || !collapseWhitespace(source.text).includes(text)) {
+            return false;
+        }
+        seen.add(passage);
+        return true;
+    }).slice(0, QA_MAX_PASSAGES);
+}
+
+// Link straight to the quoted paragraph with a text fragment
+function paragraphUrl(articleUrl, quote) {
+    const opening = collapseWhitespace(quote).replace(/^…/, '').split(' ').slice(0, 6).join(' ');
+    return `${articleUrl.split('#')[0]}#:~:text=${encodeURIComponent(opening)}`;
+}
+
+async function answerQuestion(question) {
+    const { parsed, passages } = retrievePassages(question);
+    if (passages.length === 0) return null;
+    
+    let quotes = [];
+    try {
+        quotes = verifyQuotes(await answerModel.answer(question, passages), passages);
+    } catch (error) {
+        console.error(`❌ Answer model ${answerModel.name} error:`, error.message);
+    }
+    if (quotes.length === 0) return null;
+    
+    return {
+        question,
+        parsed,
+        quotes: quotes.map(({ passage, quote }) => ({ ...passages[passage], quote }))
+    };
+}
+
+function formatAnswer(answer) {
+    const terms = getHighlightTerms(answer.parsed);
+    const blocks = [
+        {
+            type: "section",
+            text: { type: "mrkdwn", text: `💡 *Here's what the Workline articles say about:* _${escapeSlackText(answer.question)}_` }
+        }
+    ];
+    
+    answer.quotes.forEach(({ article, section, quote }) => {
+        const source = section && section.heading
+            ? `${sanitizeSlackText(article.title)} › ${sanitizeSlackText(section.heading)}`
+            : sanitizeSlackText(article.title);
+        const context = [`📄 <${paragraphUrl(article.url, quote)}|${source}>`];
+        if (article.publishDate) {
+            context.push(`📅 ${new Date(article.publishDate).toLocaleDateString()}`);
+        }
+        
+        blocks.push(
+            {
+                type: "section",
+                text: { type: "mrkdwn", text: `> ${highlightTerms(escapeSlackText(quote), terms).replace(/\n/g, '\n> ')}` }
+            },
+            { type: "context", elements: [{ type: "mrkdwn", text: context.join(' • ') }] }
+        );
+    });
+    
+    blocks.push(
+        { type: "divider" },
+        {
+            type: "actions",
+            elements: [{
+                type: "button",
+                text: { type: "plain_text", text: "🔍 Show search results instead" },
+                action_id: "qa_search",
+                value: questionToQuery(answer.question).substring(0, 1500)
+            }]
+        },
+        {
+            type: "context",
+            elements: [{ type: "mrkdwn", text: "_Answers only quote the articles - open the links for the full context._" }]
+        }
+    );
+    
+    return { text: `Workline answer: ${answer.question}`, blocks };
+}
+
+module.exports = {
+    isQuestion,
+    answerQuestion,
+    formatAnswer
+};
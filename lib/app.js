@@ -0,0 +1,80 @@
+// Slack app construction and startup
+
+const { App } = require('@slack/bolt');
+const { OAUTH_ENABLED, PORT, SLACK_SCOPES, SOCKET_MODE } = require('./config');
+const { articleCache, loadArticleStore } = require('./article-store');
+const { searchProviders } = require('./providers');
+const { installationStore } = require('./installation-store');
+const { setSlackClient, startDigestScheduler } = require('./subscriptions');
+const { CACHE_DURATION, refreshArticleCache, startRefreshScheduler } = require('./crawler');
+const { healthRoutes, watchSlackConnection } = require('./health');
+const { registerHandlers } = require('./handlers');
+
+// Build the Bolt app with every listener registered; nothing connects until app.start()
+function createApp() {
+    const app = new App({
+        signingSecret: process.env.SLACK_SIGNING_SECRET,
+        socketMode: SOCKET_MODE,
+        ...(SOCKET_MODE ? { appToken: process.env.SLACK_APP_TOKEN } : {}),
+        port: PORT, // Socket mode only listens over HTTP for these routes and the install pages
+        customRoutes: healthRoutes,
+        ...(OAUTH_ENABLED ? {
+            clientId: process.env.SLACK_CLIENT_ID,
+            clientSecret: process.env.SLACK_CLIENT_SECRET,
+            stateSecret: process.env.SLACK_STATE_SECRET,
+            scopes: SLACK_SCOPES,
+            installationStore,
+            installerOptions: { directInstall: true }
+        } : {
+            token: process.env.SLACK_BOT_TOKEN
+        })
+    });
+    
+    registerHandlers(app);
+    return app;
+}
+
+// Start the app with initial cache load
+async function startApp() {
+    try {
+        console.log('🚀 Starting enhanced Workline app...');
+        
+        const app = createApp();
+        setSlackClient(app.client);
+        
+        // Report which search providers are configured
+        console.log(`✅ Search providers: ${searchProviders.map(provider => provider.label).join(', ')}`);
+        if (!searchProviders.some(provider => provider.web)) {
+            console.log('⚠️ No web search configured (Google, Brave or Bing) - using local index and RSS only');
+        }
+        
+        if (OAUTH_ENABLED) {
+            console.log(`🔐 OAuth enabled - install at http://localhost:${PORT}/slack/install`);
+        }
+        
+        // Load whatever we stored last time so searches work straight away
+        loadArticleStore();
+        
+        // Pre-load an empty cache in development; otherwise the scheduler crawls in the background
+        if (articleCache.size === 0 && process.env.NODE_ENV !== 'production') {
+            console.log('📚 Pre-loading article cache...');
+            await refreshArticleCache();
+        }
+        console.log(`📚 Refreshing in the background every ${CACHE_DURATION / 60000} minutes`);
+        startRefreshScheduler();
+        
+        await app.start(PORT);
+        watchSlackConnection(app);
+        startDigestScheduler();
+        console.log(`⚡️ Enhanced Workline search app is running in ${SOCKET_MODE ? 'socket' : 'HTTP'} mode on port ${PORT}!`);
+        console.log(`📖 Ready to search articles`);
+        
+    } catch (error) {
+        console.error('❌ Failed to start app:', error);
+    }
+}
+
+module.exports = {
+    createApp,
+    startApp
+};
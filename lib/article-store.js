@@ -0,0 +1,124 @@
+// Article cache backed by the on-disk article store
+
+const fs = require('fs');
+const { ARTICLE_STORE_FILE, STORE_META_FILE, STORE_PERSIST_DELAY } = require('./config');
+const { readJsonFile, writeFileAtomic, writeJsonFile } = require('./storage');
+const { canonicalizeUrl } = require('./urls');
+const { indexArticle, unindexArticle } = require('./search-index');
+
+// Cache for articles (in-memory view of the on-disk article store)
+const articleCache = new Map();
+const canonicalArticleUrls = new Map(); // canonical URL -> store key
+// Shared with the crawler, which updates both after each refresh
+const storeState = {
+    lastCacheTime: null,
+    seeded: false, // False until the first crawl, so it isn't reported as "new"
+    crawling: false // While true the crawler persists once at the end instead of every few seconds
+};
+const newArticleUrls = []; // Articles first seen since the last subscription delivery
+
+let storePersistTimer = null;
+
+// Load the article store from disk into memory
+function loadArticleStore() {
+    let lines = [];
+    try {
+        lines = fs.readFileSync(ARTICLE_STORE_FILE, 'utf8').split('\n');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('❌ Could not read article store:', error.message);
+        }
+    }
+    
+    lines.forEach(line => {
+        if (!line.trim()) return;
+        try {
+            const article = JSON.parse(line);
+            if (article && article.url) {
+                addArticleToMemory(article);
+            }
+        } catch (e) {
+            // Skip corrupt lines rather than losing the whole store
+        }
+    });
+    
+    storeState.seeded = articleCache.size > 0;
+    
+    const meta = readJsonFile(STORE_META_FILE, {});
+    storeState.lastCacheTime = meta.lastRefreshAt ? new Date(meta.lastRefreshAt).getTime() : null;
+    
+    console.log(`💾 Loaded ${articleCache.size} articles from ${ARTICLE_STORE_FILE}`);
+}
+
+// Write the whole store back to disk (one article per line)
+function persistArticleStore() {
+    if (storePersistTimer) {
+        clearTimeout(storePersistTimer);
+        storePersistTimer = null;
+    }
+    
+    try {
+        const lines = Array.from(articleCache.values()).map(article => JSON.stringify(article));
+        writeFileAtomic(ARTICLE_STORE_FILE, lines.join('\n') + (lines.length ? '\n' : ''));
+        writeJsonFile(STORE_META_FILE, {
+            lastRefreshAt: storeState.lastCacheTime ? new Date(storeState.lastCacheTime).toISOString() : null,
+            articleCount: articleCache.size
+        });
+    } catch (error) {
+        console.error('❌ Could not persist article store:', error.message);
+    }
+}
+
+function schedulePersistArticleStore() {
+    if (!storePersistTimer && !storeState.crawling) {
+        storePersistTimer = setTimeout(persistArticleStore, STORE_PERSIST_DELAY);
+    }
+}
+
+function addArticleToMemory(article) {
+    articleCache.set(article.url, article);
+    canonicalArticleUrls.set(canonicalizeUrl(article.url), article.url);
+    indexArticle(article);
+}
+
+function removeArticleFromMemory(url) {
+    const article = findStoredArticle(url);
+    if (!article) return null;
+    
+    articleCache.delete(article.url);
+    canonicalArticleUrls.delete(canonicalizeUrl(article.url));
+    unindexArticle(article.url);
+    return article;
+}
+
+// Add or update an article in the store
+function storeArticle(article) {
+    const isNew = !findStoredArticle(article.url);
+    addArticleToMemory(article);
+    schedulePersistArticleStore();
+    
+    if (isNew && storeState.seeded) {
+        newArticleUrls.push(article.url);
+    }
+}
+
+// Look an article up by any equivalent spelling of its URL
+function findStoredArticle(url) {
+    return articleCache.get(url) || articleCache.get(canonicalArticleUrls.get(canonicalizeUrl(url)));
+}
+
+function articleTimestamp(article) {
+    return new Date(article.publishDate || article.scrapedAt || 0).getTime() || 0;
+}
+
+module.exports = {
+    articleCache,
+    storeState,
+    newArticleUrls,
+    loadArticleStore,
+    persistArticleStore,
+    removeArticleFromMemory,
+    storeArticle,
+    findStoredArticle,
+    articleTimestamp
+};
@@ -0,0 +1,103 @@
+// Configuration read from the environment
+
+const path = require('path');
+
+// Add port configuration for deployment
+const PORT = process.env.PORT || 3000;
+
+// Persistent storage configuration
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const ARTICLE_STORE_FILE = path.join(DATA_DIR, 'articles.jsonl');
+const STORE_META_FILE = path.join(DATA_DIR, 'store-meta.json');
+const SAVED_ARTICLES_FILE = path.join(DATA_DIR, 'saved-articles.json');
+const ANALYTICS_FILE = path.join(DATA_DIR, 'analytics.jsonl');
+const SUBSCRIPTIONS_FILE = path.join(DATA_DIR, 'subscriptions.json');
+const GOOGLE_QUOTA_FILE = path.join(DATA_DIR, 'google-quota.json');
+const WORKSPACE_SETTINGS_FILE = path.join(DATA_DIR, 'workspace-settings.json');
+const SEARCH_HISTORY_FILE = path.join(DATA_DIR, 'search-history.json');
+const INSTALLATIONS_DIR = path.join(DATA_DIR, 'installations');
+const STORE_PERSIST_DELAY = 2000; // Batch writes that happen close together
+
+// Google Custom Search configuration
+const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+const GOOGLE_CSE_ID = process.env.GOOGLE_CSE_ID;
+const WORKLINE_SITE = 'www.flexos.work/the-workline/';
+
+// Alternative web search backends
+const BRAVE_SEARCH_API_KEY = process.env.BRAVE_SEARCH_API_KEY;
+const BING_SEARCH_API_KEY = process.env.BING_SEARCH_API_KEY;
+const WORKLINE_FEED_URL = process.env.WORKLINE_FEED_URL || 'https://www.flexos.work/the-workline/feed/';
+
+// HTTP resilience configuration
+const HTTP_MAX_RETRIES = parseInt(process.env.HTTP_MAX_RETRIES || '3', 10);
+const HTTP_RETRY_BASE_DELAY = 500; // Doubles on every retry (with full jitter)
+const HTTP_RETRY_MAX_DELAY = 30000;
+const HTTP_HOST_CONCURRENCY = parseInt(process.env.HTTP_HOST_CONCURRENCY || '4', 10);
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10); // Consecutive failures
+const CIRCUIT_RESET_TIMEOUT = parseInt(process.env.CIRCUIT_RESET_TIMEOUT || '60000', 10); // Before trying again
+const GOOGLE_DAILY_QUOTA = parseInt(process.env.GOOGLE_DAILY_QUOTA || '100', 10); // Free Custom Search tier
+const GOOGLE_QUOTA_RESERVE = parseInt(process.env.GOOGLE_QUOTA_RESERVE || '5', 10); // Calls held back so we stop before Google cuts us off
+
+// Crawler configuration
+const WORKLINE_INDEX_URL = 'https://www.flexos.work/the-workline/';
+const WORKLINE_HOST = 'flexos.work';
+const CRAWLER_AGENT_NAME = 'WorklineSlackBot';
+const CRAWLER_USER_AGENT = `${CRAWLER_AGENT_NAME}/1.0 (Workplace Research Assistant)`;
+const CRAWL_MAX_DEPTH = parseInt(process.env.CRAWL_MAX_DEPTH || '2', 10); // Link hops from discovered articles
+const CRAWL_MAX_ARTICLES = parseInt(process.env.CRAWL_MAX_ARTICLES || '2000', 10); // Safety net per refresh
+const CRAWL_RATE_LIMIT_MS = parseInt(process.env.CRAWL_RATE_LIMIT_MS || '1000', 10); // Minimum gap between requests
+const CRAWL_CONCURRENCY = parseInt(process.env.CRAWL_CONCURRENCY || '2', 10);
+const CRAWL_MAX_INDEX_PAGES = 100;
+const CRAWL_MAX_SITEMAPS = 20;
+
+// OAuth distribution: with a client ID and secret any workspace can install the app from /slack/install,
+// and each workspace's bot token comes from the installation store. Otherwise serve the one SLACK_BOT_TOKEN.
+const OAUTH_ENABLED = Boolean(process.env.SLACK_CLIENT_ID && process.env.SLACK_CLIENT_SECRET);
+const SLACK_SCOPES = (process.env.SLACK_SCOPES || 'app_mentions:read,chat:write,commands,files:write,im:history,im:write,links:read,links:write,users:read')
+    .split(',').map(scope => scope.trim()).filter(Boolean);
+
+// Socket mode connects out with an app-level token; HTTP mode receives the Events API at /slack/events
+const SLACK_MODE = (process.env.SLACK_MODE || (process.env.SLACK_APP_TOKEN ? 'socket' : 'http')).toLowerCase();
+const SOCKET_MODE = SLACK_MODE === 'socket';
+
+module.exports = {
+    PORT,
+    DATA_DIR,
+    ARTICLE_STORE_FILE,
+    STORE_META_FILE,
+    SAVED_ARTICLES_FILE,
+    ANALYTICS_FILE,
+    SUBSCRIPTIONS_FILE,
+    GOOGLE_QUOTA_FILE,
+    WORKSPACE_SETTINGS_FILE,
+    SEARCH_HISTORY_FILE,
+    INSTALLATIONS_DIR,
+    STORE_PERSIST_DELAY,
+    GOOGLE_API_KEY,
+    GOOGLE_CSE_ID,
+    WORKLINE_SITE,
+    BRAVE_SEARCH_API_KEY,
+    BING_SEARCH_API_KEY,
+    WORKLINE_FEED_URL,
+    HTTP_MAX_RETRIES,
+    HTTP_RETRY_BASE_DELAY,
+    HTTP_RETRY_MAX_DELAY,
+    HTTP_HOST_CONCURRENCY,
+    CIRCUIT_FAILURE_THRESHOLD,
+    CIRCUIT_RESET_TIMEOUT,
+    GOOGLE_DAILY_QUOTA,
+    GOOGLE_QUOTA_RESERVE,
+    WORKLINE_INDEX_URL,
+    WORKLINE_HOST,
+    CRAWLER_AGENT_NAME,
+    CRAWLER_USER_AGENT,
+    CRAWL_MAX_DEPTH,
+    CRAWL_MAX_ARTICLES,
+    CRAWL_RATE_LIMIT_MS,
+    CRAWL_CONCURRENCY,
+    CRAWL_MAX_INDEX_PAGES,
+    CRAWL_MAX_SITEMAPS,
+    OAUTH_ENABLED,
+    SLACK_SCOPES,
+    SOCKET_MODE
+};
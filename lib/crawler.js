@@ -0,0 +1,390 @@
+// Archive crawler and background refresh
+
+const cheerio = require('cheerio');
+const {
+    CRAWLER_AGENT_NAME, CRAWLER_USER_AGENT, CRAWL_CONCURRENCY, CRAWL_MAX_ARTICLES, CRAWL_MAX_DEPTH,
+    CRAWL_MAX_INDEX_PAGES, CRAWL_MAX_SITEMAPS, CRAWL_RATE_LIMIT_MS, WORKLINE_INDEX_URL
+} = require('./config');
+const { metrics } = require('./metrics');
+const { isArchiveArticleUrl, isArchiveIndexUrl, normalizeArticleUrl, resolveCrawlUrl } = require('./urls');
+const { httpGet, sleep } = require('./http');
+const {
+    articleCache, newArticleUrls, persistArticleStore, storeArticle, storeState
+} = require('./article-store');
+const { scrapeArticle } = require('./scraper');
+const { deliverNewArticles } = require('./subscriptions');
+
+const CACHE_DURATION = parseInt(process.env.CACHE_REFRESH_MINUTES || '30', 10) * 60 * 1000; // Between background crawls
+const REFRESH_CHECK_INTERVAL = 60 * 1000; // How often the scheduler looks for a stale cache
+const REFRESH_RETRY_DELAY = 5 * 60 * 1000; // After a crawl that failed outright
+let refreshInProgress = null;
+
+const refreshStatus = { startedAt: null, finishedAt: null, scraped: 0, failures: 0, error: null };
+
+// Parse robots.txt into the rules that apply to us
+function parseRobotsTxt(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+    
+    text.split('\n').forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+        
+        if (field === 'sitemap') {
+            if (value) sitemaps.push(value);
+            return;
+        }
+        
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            return;
+        }
+        
+        lastWasAgent = false;
+        if (!current) return;
+        
+        if ((field === 'allow' || field === 'disallow') && value) {
+            current.rules.push({ allow: field === 'allow', path: value });
+        } else if (field === 'crawl-delay') {
+            const delay = parseFloat(value);
+            if (!isNaN(delay)) current.crawlDelay = delay;
+        }
+    });
+    
+    // Prefer a group naming our bot, otherwise the wildcard group
+    const agentName = CRAWLER_AGENT_NAME.toLowerCase();
+    const group = groups.find(g => g.agents.some(agent => agent !== '*' && agentName.includes(agent))) ||
+                  groups.find(g => g.agents.includes('*'));
+    
+    return {
+        rules: group ? group.rules : [],
+        crawlDelay: group ? group.crawlDelay : null,
+        sitemaps
+    };
+}
+
+function robotsPatternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Longest matching rule wins; ties go to Allow
+function isAllowedByRobots(robots, href) {
+    if (!robots || robots.rules.length === 0) return true;
+    
+    const url = new URL(href);
+    const target = url.pathname + url.search;
+    let best = null;
+    
+    robots.rules.forEach(rule => {
+        if (robotsPatternToRegExp(rule.path).test(target)) {
+            if (!best || rule.path.length > best.path.length ||
+                (rule.path.length === best.path.length && rule.allow)) {
+                best = rule;
+            }
+        }
+    });
+    
+    return !best || best.allow;
+}
+
+async function loadRobotsRules() {
+    const robotsUrl = `${new URL(WORKLINE_INDEX_URL).origin}/robots.txt`;
+    try {
+        const response = await httpGet(robotsUrl, {
+            timeout: 10000,
+            headers: { 'User-Agent': CRAWLER_USER_AGENT },
+            responseType: 'text'
+        });
+        return parseRobotsTxt(String(response.data));
+    } catch (error) {
+        // A missing robots.txt means everything is allowed
+        if (error.status >= 400 && error.status < 500) {
+            return { rules: [], crawlDelay: null, sitemaps: [] };
+        }
+        throw new Error(`Could not load robots.txt: ${error.message}`);
+    }
+}
+
+// Polite fetcher: respects robots.txt and spaces requests out
+function createCrawlFetcher(robots) {
+    const delay = Math.max(CRAWL_RATE_LIMIT_MS, (robots.crawlDelay || 0) * 1000);
+    let nextSlot = 0;
+    
+    async function waitForSlot() {
+        const now = Date.now();
+        const wait = Math.max(0, nextSlot - now);
+        nextSlot = Math.max(now, nextSlot) + delay;
+        if (wait > 0) {
+            await sleep(wait);
+        }
+    }
+    
+    async function fetchPage(url) {
+        if (!isAllowedByRobots(robots, url)) {
+            console.log(`🚫 Disallowed by robots.txt: ${url}`);
+            return null;
+        }
+        await waitForSlot();
+        try {
+            const response = await httpGet(url, {
+                timeout: 15000,
+                headers: { 'User-Agent': CRAWLER_USER_AGENT },
+                responseType: 'text'
+            });
+            return String(response.data);
+        } catch (error) {
+            if (error.status !== 404) {
+                console.error(`❌ Error fetching ${url}:`, error.message);
+            }
+            return null;
+        }
+    }
+    
+    async function scrape(url, previous) {
+        if (!isAllowedByRobots(robots, url)) {
+            console.log(`🚫 Disallowed by robots.txt: ${url}`);
+            return null;
+        }
+        await waitForSlot();
+        return scrapeArticle(url, previous);
+    }
+    
+    return { fetchPage, scrape };
+}
+
+// Walk the archive index and its pagination
+async function discoverFromIndexPages(fetcher, found, feedUrls) {
+    const queue = [WORKLINE_INDEX_URL];
+    const visited = new Set();
+    
+    while (queue.length > 0 && visited.size < CRAWL_MAX_INDEX_PAGES) {
+        const pageUrl = queue.shift();
+        if (visited.has(pageUrl)) continue;
+        visited.add(pageUrl);
+        
+        const html = await fetcher.fetchPage(pageUrl);
+        if (!html) continue;
+        
+        const $ = cheerio.load(html);
+        
+        // Feeds advertised by the page
+        $('link[rel="alternate"][type*="rss"], link[rel="alternate"][type*="atom"]').each((i, el) => {
+            const feedUrl = resolveCrawlUrl($(el).attr('href'), pageUrl);
+            if (feedUrl) feedUrls.add(feedUrl);
+        });
+        
+        $('a[href]').each((i, el) => {
+            const href = resolveCrawlUrl($(el).attr('href'), pageUrl);
+            if (!href) return;
+            
+            if (isArchiveIndexUrl(href)) {
+                if (!visited.has(href)) queue.push(href);
+            } else if (isArchiveArticleUrl(href)) {
+                found.add(normalizeArticleUrl(href));
+            }
+        });
+    }
+    
+    console.log(`📑 Walked ${visited.size} archive index page${visited.size !== 1 ? 's' : ''}`);
+}
+
+// Read sitemap.xml (following sitemap indexes)
+async function discoverFromSitemaps(fetcher, sitemapUrls, found) {
+    const queue = [...sitemapUrls];
+    const visited = new Set();
+    
+    while (queue.length > 0 && visited.size < CRAWL_MAX_SITEMAPS) {
+        const sitemapUrl = queue.shift();
+        if (visited.has(sitemapUrl)) continue;
+        visited.add(sitemapUrl);
+        
+        const xml = await fetcher.fetchPage(sitemapUrl);
+        if (!xml) continue;
+        
+        const $ = cheerio.load(xml, { xmlMode: true });
+        
+        $('sitemapindex sitemap loc').each((i, el) => {
+            const childUrl = resolveCrawlUrl($(el).text().trim(), sitemapUrl);
+            if (childUrl) queue.push(childUrl);
+        });
+        
+        $('urlset url loc').each((i, el) => {
+            const href = resolveCrawlUrl($(el).text().trim(), sitemapUrl);
+            if (href && isArchiveArticleUrl(href)) {
+                found.add(normalizeArticleUrl(href));
+            }
+        });
+    }
+}
+
+// Read RSS/Atom feeds
+async function discoverFromFeeds(fetcher, feedUrls, found) {
+    for (const feedUrl of feedUrls) {
+        const xml = await fetcher.fetchPage(feedUrl);
+        if (!xml) continue;
+        
+        const $ = cheerio.load(xml, { xmlMode: true });
+        
+        $('item > link').each((i, el) => {
+            const href = resolveCrawlUrl($(el).text().trim(), feedUrl);
+            if (href && isArchiveArticleUrl(href)) found.add(normalizeArticleUrl(href));
+        });
+        $('entry > link').each((i, el) => {
+            const href = resolveCrawlUrl($(el).attr('href'), feedUrl);
+            if (href && isArchiveArticleUrl(href)) found.add(normalizeArticleUrl(href));
+        });
+    }
+}
+
+// Discover articles and build cache
+// Concurrent callers share the same refresh instead of crawling twice
+function refreshArticleCache() {
+    if (!refreshInProgress) {
+        refreshInProgress = runArticleRefresh().finally(() => {
+            refreshInProgress = null;
+        });
+    }
+    return refreshInProgress;
+}
+
+function isRefreshRunning() {
+    return refreshInProgress !== null;
+}
+
+async function runArticleRefresh() {
+    const failuresBefore = metrics.scrapeFailures;
+    Object.assign(refreshStatus, { startedAt: Date.now(), finishedAt: null, scraped: 0, failures: 0, error: null });
+    storeState.crawling = true;
+    
+    try {
+        console.log('🔄 Crawling the Workline archive...');
+        
+        const robots = await loadRobotsRules();
+        const fetcher = createCrawlFetcher(robots);
+        const origin = new URL(WORKLINE_INDEX_URL).origin;
+        
+        const discovered = new Set();
+        const feedUrls = new Set([`${WORKLINE_INDEX_URL}feed/`]);
+        const sitemapUrls = new Set([...robots.sitemaps, `${origin}/sitemap.xml`]);
+        
+        await discoverFromIndexPages(fetcher, discovered, feedUrls);
+        await discoverFromSitemaps(fetcher, sitemapUrls, discovered);
+        await discoverFromFeeds(fetcher, feedUrls, discovered);
+        
+        console.log(`🔍 Found ${discovered.size} unique articles to cache`);
+        
+        // Queue everything we found, then follow in-archive links up to the depth limit
+        const queue = Array.from(discovered).map(url => ({ url, depth: 0 }));
+        const seen = new Set(discovered);
+        let scraped = 0;
+        let inFlight = 0;
+        const idleWorkers = [];
+        const wakeIdleWorkers = () => idleWorkers.splice(0).forEach(resolve => resolve());
+        
+        async function worker() {
+            while (scraped < CRAWL_MAX_ARTICLES) {
+                // An empty queue isn't the end while other workers' pages may still add links
+                if (queue.length === 0) {
+                    if (inFlight === 0) break;
+                    await new Promise(resolve => idleWorkers.push(resolve));
+                    continue;
+                }
+                
+                const { url, depth } = queue.shift();
+                scraped++;
+                refreshStatus.scraped = scraped;
+                
+                inFlight++;
+                try {
+                    const article = await fetcher.scrape(url, articleCache.get(url));
+                    if (!article) continue;
+                    
+                    storeArticle(article);
+                    
+                    if (depth < CRAWL_MAX_DEPTH) {
+                        (article.links || []).forEach(link => {
+                            if (!seen.has(link)) {
+                                seen.add(link);
+                                queue.push({ url: link, depth: depth + 1 });
+                            }
+                        });
+                    }
+                } finally {
+                    inFlight--;
+                    wakeIdleWorkers();
+                }
+            }
+        }
+        
+        await Promise.all(Array.from({ length: CRAWL_CONCURRENCY }, () => worker()));
+        
+        if (queue.length > 0) {
+            console.log(`⚠️ Stopped after ${CRAWL_MAX_ARTICLES} articles (CRAWL_MAX_ARTICLES), ${queue.length} left in queue`);
+        }
+        
+        storeState.lastCacheTime = Date.now();
+        storeState.seeded = true;
+        storeState.crawling = false;
+        persistArticleStore();
+        console.log(`✅ Cached ${articleCache.size} articles`);
+        
+        // Let subscribers know about anything we hadn't seen before
+        await deliverNewArticles(newArticleUrls.splice(0));
+        
+    } catch (error) {
+        console.error('❌ Error refreshing cache:', error.message);
+        refreshStatus.error = error.message;
+        
+        // Keep whatever was scraped before the failure
+        if (storeState.crawling) {
+            storeState.crawling = false;
+            persistArticleStore();
+        }
+    } finally {
+        refreshStatus.finishedAt = Date.now();
+        refreshStatus.failures = metrics.scrapeFailures - failuresBefore;
+    }
+}
+
+// Background refresh: crawl whenever the cache is older than CACHE_DURATION, never from a user's search
+function isCacheStale() {
+    return !storeState.lastCacheTime || Date.now() - storeState.lastCacheTime > CACHE_DURATION;
+}
+
+function startRefreshScheduler() {
+    const refreshIfStale = () => {
+        const retryDue = !refreshStatus.finishedAt || Date.now() - refreshStatus.finishedAt > REFRESH_RETRY_DELAY;
+        if (isCacheStale() && retryDue && !refreshInProgress) {
+            refreshArticleCache().catch(error => console.error('❌ Refresh scheduler error:', error));
+        }
+    };
+    
+    refreshIfStale();
+    setInterval(refreshIfStale, REFRESH_CHECK_INTERVAL);
+}
+
+module.exports = {
+    CACHE_DURATION,
+    refreshStatus,
+    refreshArticleCache,
+    isRefreshRunning,
+    isCacheStale,
+    startRefreshScheduler
+};
@@ -0,0 +1,146 @@
+// "Find Workline articles" message shortcut
+
+const { STOP_WORDS, searchIndex, splitWords, stemWord } = require('./search-index');
+const { sanitizeSlackText } = require('./format');
+
+// Key phrases: runs of content words between stop words and punctuation, scored RAKE-style
+// (words that co-occur in longer phrases score higher), preferring words the index knows.
+// With an empty index there's nothing to prefer, so every word counts as known
+const KEY_PHRASE_COUNT = 3;
+const KEY_PHRASE_MAX_WORDS = 3;
+const KEY_PHRASE_QUERY_MAX_LENGTH = 150;
+const CHAT_FILLER_WORDS = new Set([
+    'hey', 'hi', 'hello', 'thanks', 'thank', 'please', 'pls', 'lol', 'yeah', 'yes', 'yep', 'okay', 'ok',
+    'think', 'thinking', 'thought', 'know', 'like', 'really', 'actually', 'also', 'get', 'got', 'getting',
+    'going', 'want', 'wanted', 'need', 'maybe', 'anyone', 'someone', 'everyone', 'thing', 'things', 'stuff',
+    'lot', 'lots', 'would', 'could', 'should', 'might', 'much', 'many', 'still', 'even', 'well', 'sure',
+    'seems', 'seem', 'keep', 'keeps', 'coming', 'come', 'said', 'say', 'says', 'guys', 'folks'
+]);
+
+// Slack mrkdwn -> plain words: drop code, mentions, emoji and bare URLs; keep link labels
+function slackMessageToText(text) {
+    return (text || '')
+        .replace(/```[\s\S]*?```|`[^`]*`/g, ' ')
+        .replace(/<[@#!][^>]*>/g, ' ')
+        .replace(/<[^|>]+\|([^>]+)>/g, '$1')
+        .replace(/<[^>]+>|https?:\/\/\S+/g, ' ')
+        .replace(/:[a-z0-9_+-]+:/g, ' ');
+}
+
+function isContentWord(word) {
+    return word.length > 2 && !/^\d+$/.test(word) && !STOP_WORDS.has(word) && !CHAT_FILLER_WORDS.has(word);
+}
+
+function extractKeyPhrases(text, count = KEY_PHRASE_COUNT) {
+    const candidates = [];
+    slackMessageToText(text).split(/[.,;:!?()[\]{}"\n–—]+/).forEach(clause => {
+        let run = [];
+        const endRun = () => {
+            for (let i = 0; i < run.length; i += KEY_PHRASE_MAX_WORDS) {
+                candidates.push(run.slice(i, i + KEY_PHRASE_MAX_WORDS));
+            }
+            run = [];
+        };
+        splitWords(clause).forEach(word => {
+            if (isContentWord(word)) {
+                run.push(word);
+            } else {
+                endRun();
+            }
+        });
+        endRun();
+    });
+    
+    // Words the archive never uses make poor search terms, so trim them off the phrase ends
+    const indexEmpty = searchIndex.docs.size === 0;
+    const isKnownWord = word => indexEmpty || searchIndex.postings.has(stemWord(word));
+    const trimmed = candidates.map(words => {
+        const first = words.findIndex(isKnownWord);
+        return first === -1 ? [] : words.slice(first, words.findLastIndex(isKnownWord) + 1);
+    }).filter(words => words.length > 0);
+    const phrases = trimmed.length > 0 ? trimmed : candidates;
+    
+    const frequency = new Map();
+    const degree = new Map();
+    phrases.forEach(words => words.forEach(word => {
+        frequency.set(word, (frequency.get(word) || 0) + 1);
+        degree.set(word, (degree.get(word) || 0) + words.length);
+    }));
+    
+    const wordScore = word => (degree.get(word) / frequency.get(word)) * (isKnownWord(word) ? 1 : 0.25);
+    
+    const scored = new Map();
+    phrases.forEach((words, position) => {
+        const phrase = words.join(' ');
+        if (!scored.has(phrase)) {
+            scored.set(phrase, { phrase, position, score: words.reduce((sum, word) => sum + wordScore(word), 0) });
+        }
+    });
+    
+    return Array.from(scored.values())
+        .sort((a, b) => b.score - a.score || a.position - b.position)
+        .slice(0, count)
+        .map(candidate => candidate.phrase);
+}
+
+function messageToQuery(text) {
+    let query = '';
+    for (const phrase of extractKeyPhrases(text)) {
+        const next = query ? `${query} ${phrase}` : phrase;
+        if (next.length > KEY_PHRASE_QUERY_MAX_LENGTH) break;
+        query = next;
+    }
+    return query;
+}
+
+// Modal that lets the user refine the extracted query before results go into the thread
+function buildFindArticlesModal({ query, channelId, threadTs, messageText }) {
+    const excerpt = slackMessageToText(messageText).replace(/\s+/g, ' ').trim();
+    
+    return {
+        type: "modal",
+        callback_id: "find_workline_articles",
+        private_metadata: JSON.stringify({ c: channelId, t: threadTs }),
+        title: { type: "plain_text", text: "Find Workline articles" },
+        submit: { type: "plain_text", text: "Post in thread" },
+        close: { type: "plain_text", text: "Cancel" },
+        blocks: [
+            ...(excerpt ? [{
+                type: "context",
+                elements: [{
+                    type: "mrkdwn",
+                    text: `💬 ${sanitizeSlackText(excerpt.length > 200 ? `${excerpt.substring(0, 200)}...` : excerpt)}`
+                }]
+            }] : []),
+            {
+                type: "input",
+                block_id: "query",
+                label: { type: "plain_text", text: "Search for" },
+                hint: { type: "plain_text", text: "Key phrases from the message. Edit them, or use \"exact phrases\", -exclude and topic:leadership." },
+                element: {
+                    type: "plain_text_input",
+                    action_id: "value",
+                    max_length: 500,
+                    ...(query ? { initial_value: query } : {}),
+                    placeholder: { type: "plain_text", text: "e.g. hybrid work anchor days" }
+                }
+            }
+        ]
+    };
+}
+
+function parseFindArticlesSubmission(view) {
+    const { c: channelId, t: threadTs } = JSON.parse(view.private_metadata || '{}');
+    return {
+        query: (view.state.values.query.value.value || '').trim(),
+        channelId,
+        threadTs
+    };
+}
+
+module.exports = {
+    extractKeyPhrases,
+    messageToQuery,
+    buildFindArticlesModal,
+    parseFindArticlesSubmission
+};
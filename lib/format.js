@@ -0,0 +1,376 @@
+// Slack message formatting
+
+const {
+    STOP_WORDS, containsPhrase, expandQueryTerm, getArticleBody, normalizeSearchText, parseSearchQuery,
+    stemWord
+} = require('./search-index');
+const { findStoredArticle } = require('./article-store');
+const { searchProviders } = require('./providers');
+const { RESULTS_PAGE_SIZE, describeResultProvenance, resultSourceEmoji } = require('./search');
+
+// Result snippets
+const SNIPPET_MAX_LENGTH = 240;
+const SNIPPET_CONTEXT_BEFORE = 60; // Characters kept ahead of the first match
+
+// Escape text for Slack mrkdwn: &, < and > must be entities
+function escapeSlackText(text) {
+    return (text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Scraped text can contain mrkdwn markers that would toggle formatting mid-snippet
+function sanitizeSlackText(text) {
+    return escapeSlackText((text || '').replace(/[*_~`]/g, ''));
+}
+
+// Query terms plus the close spellings fuzzy matching used
+function getHighlightTerms(parsed) {
+    const terms = new Set(parsed.terms);
+    parsed.terms.forEach(term => expandQueryTerm(term).forEach(expansion => terms.add(expansion.term)));
+    return terms;
+}
+
+function wordStem(word) {
+    const normalized = normalizeSearchText(word);
+    return STOP_WORDS.has(normalized) ? null : stemWord(normalized);
+}
+
+// Sentences of the article, paragraph by paragraph
+function splitPassages(article) {
+    const paragraphs = article.sections && article.sections.length > 0
+        ? article.sections.flatMap(section => section.paragraphs)
+        : [getArticleBody(article)];
+    return paragraphs
+        .flatMap(paragraph => paragraph.split(/(?<=[.!?])\s+/))
+        .map(sentence => sentence.trim())
+        .filter(Boolean);
+}
+
+// The one- or two-sentence passage covering the most query terms
+function findBestPassage(article, parsed, terms) {
+    const sentences = splitPassages(article);
+    let best = null;
+    let bestScore = 0;
+    
+    sentences.forEach((sentence, i) => {
+        // Short sentences borrow the next one for context
+        const passage = sentence.length < 120 && sentences[i + 1] ? `${sentence} ${sentences[i + 1]}` : sentence;
+        const stems = (passage.match(/[\p{L}\p{N}]+/gu) || []).map(wordStem).filter(Boolean);
+        const matched = new Set(stems.filter(stem => terms.has(stem)));
+        
+        let score = matched.size * 2 + Math.min(stems.filter(stem => terms.has(stem)).length, 5) * 0.1;
+        // Prefer passages that open with a match over ones that borrowed it from the next sentence
+        if ((sentence.match(/[\p{L}\p{N}]+/gu) || []).some(word => terms.has(wordStem(word)))) {
+            score += 0.5;
+        }
+        score += parsed.phrases.filter(phrase => containsPhrase({ title: '', summary: '', body: passage }, phrase)).length * 3;
+        
+        if (score > bestScore) {
+            best = passage;
+            bestScore = score;
+        }
+    });
+    
+    return best;
+}
+
+// Cut a long passage down to a window that starts just before the first match
+function trimAroundFirstMatch(text, terms, maxLength) {
+    if (text.length <= maxLength) return text;
+    
+    let firstMatch = 0;
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+        if (terms.has(wordStem(match[0]))) {
+            firstMatch = match.index;
+            break;
+        }
+    }
+    
+    let start = Math.max(0, firstMatch - SNIPPET_CONTEXT_BEFORE);
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space !== -1 && space < firstMatch ? space + 1 : start;
+    }
+    let end = Math.min(text.length, start + maxLength);
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > start ? space : end;
+    }
+    
+    return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+function highlightTerms(text, terms) {
+    return text.replace(/[\p{L}\p{N}]+/gu, word => terms.has(wordStem(word)) ? `*${word}*` : word);
+}
+
+// Context snippet around the best match with query terms bolded, or the summary if the body doesn't match
+function buildResultSnippet(result, parsed) {
+    const article = findStoredArticle(result.url) || result;
+    
+    if (parsed.terms.length > 0 && (article.body || article.content || article.sections)) {
+        const terms = getHighlightTerms(parsed);
+        const passage = findBestPassage(article, parsed, terms);
+        if (passage) {
+            const plain = trimAroundFirstMatch(passage.replace(/[*_~`]/g, ''), terms, SNIPPET_MAX_LENGTH);
+            // Escaping after highlighting is safe: it never touches the * markers
+            return escapeSlackText(highlightTerms(plain, terms));
+        }
+    }
+    
+    return sanitizeSlackText(result.summary);
+}
+
+// Format results with Slack blocks for clean appearance
+// Pass the page from searchWorklineArticles() to get Next/Previous buttons. Paging replaces the
+// message in place, so public posts turn it off with { paging: false } and point to /workline instead
+function formatSearchResults(query, results, page = null, { paging = true } = {}) {
+    const offset = page?.offset || 0;
+    const parsed = parseSearchQuery(query);
+    const heading = page && (offset > 0 || page.hasMore)
+        ? `🎯 *Results ${offset + 1}–${offset + results.length} of ${page.total}${page.totalIsExact ? '' : '+'} for "${query}"*`
+        : `🎯 *Found ${results.length} result${results.length !== 1 ? 's' : ''} for "${query}"*`;
+    
+    const blocks = [
+        {
+            type: "section",
+            text: {
+                type: "mrkdwn",
+                text: heading
+            }
+        },
+        { type: "divider" }
+    ];
+
+    results.forEach((result, index) => {
+        // Add search source indicator
+        const sourceEmoji = resultSourceEmoji(result);
+        
+        // Deep-link to the matching section when we know which one it is
+        const linkUrl = result.matchedSection?.url || result.url;
+        
+        // Main article block
+        blocks.push({
+            type: "section",
+            text: {
+                type: "mrkdwn",
+                text: `${sourceEmoji} *<${linkUrl}|${sanitizeSlackText(result.title)}>*\n${buildResultSnippet(result, parsed)}`
+            },
+            accessory: {
+                type: "button",
+                text: {
+                    type: "plain_text",
+                    text: "📖 Read Article"
+                },
+                url: linkUrl,
+                action_id: `read_${offset + index}`,
+                // Lets the click handler attribute the click to this search and rank
+                value: JSON.stringify({ s: page?.searchId || null, q: query.substring(0, 500), r: offset + index + 1 })
+            }
+        });
+        
+        // Add topics and metadata if available
+        const metadata = [];
+        if (result.topics && result.topics.length > 0) {
+            metadata.push(`🏷️ ${sanitizeSlackText(result.topics.slice(0, 3).join(', '))}`);
+        }
+        if (result.publishDate) {
+            try {
+                const date = new Date(result.publishDate).toLocaleDateString();
+                metadata.push(`📅 ${date}`);
+            } catch (e) {
+                // Ignore date parsing errors
+            }
+        }
+        if (result.readingTimeMinutes) {
+            metadata.push(`⏱️ ${result.readingTimeMinutes} min read`);
+        }
+        if (result.matchedSection) {
+            metadata.push(`📑 Section: ${sanitizeSlackText(result.matchedSection.heading)}`);
+        }
+        const provenance = describeResultProvenance(result);
+        if (provenance) {
+            metadata.push(`🔍 ${provenance}`);
+        }
+        
+        if (metadata.length > 0) {
+            blocks.push({
+                type: "context",
+                elements: [
+                    {
+                        type: "mrkdwn",
+                        text: metadata.join(' • ')
+                    }
+                ]
+            });
+        }
+        
+        // Per-article actions
+        blocks.push({
+            type: "actions",
+            elements: [
+                {
+                    type: "button",
+                    text: { type: "plain_text", text: "📣 Share to channel" },
+                    action_id: "share_article",
+                    value: result.url
+                },
+                {
+                    type: "button",
+                    text: { type: "plain_text", text: "🔖 Save for later" },
+                    action_id: "save_article",
+                    value: result.url
+                },
+                {
+                    type: "button",
+                    text: { type: "plain_text", text: "🔗 Related" },
+                    action_id: "related_article",
+                    value: result.url
+                }
+            ]
+        });
+        
+        // Add divider between results (except for last one)
+        if (index < results.length - 1) {
+            blocks.push({ type: "divider" });
+        }
+    });
+
+    if (!paging && page?.hasMore) {
+        blocks.push({
+            type: "context",
+            elements: [{ type: "mrkdwn", text: `🔎 More results: \`/workline ${escapeSlackText(query)}\`` }]
+        });
+    }
+    
+    // Paging buttons carry everything needed to fetch the neighbouring page
+    if (paging && page && (offset > 0 || page.hasMore)) {
+        const pageValue = newOffset => JSON.stringify({
+            q: query.substring(0, 1500),
+            o: newOffset,
+            id: page.resultSetId,
+            s: page.searchId
+        });
+        const pageSize = page.limit || RESULTS_PAGE_SIZE;
+        const elements = [];
+        
+        if (offset > 0) {
+            elements.push({
+                type: "button",
+                text: { type: "plain_text", text: "⬅️ Previous" },
+                action_id: "results_prev",
+                value: pageValue(Math.max(0, offset - pageSize))
+            });
+        }
+        if (page.hasMore) {
+            elements.push({
+                type: "button",
+                text: { type: "plain_text", text: `Next ${pageSize} ➡️` },
+                action_id: "results_next",
+                value: pageValue(offset + results.length)
+            });
+        }
+        
+        blocks.push({ type: "actions", elements });
+    }
+    
+    // Footer with tips
+    blocks.push(
+        { type: "divider" },
+        {
+            type: "context",
+            elements: [
+                {
+                    type: "mrkdwn",
+                    text: `💡 *Tip:* ${searchProviders.map(provider => `${provider.emoji} = ${provider.label}`).join(', ')}, ⭐ = Found by several`
+                }
+            ]
+        }
+    );
+
+    return { blocks };
+}
+
+// Topic and date line shown under article cards
+function articleMetadata(article) {
+    const metadata = [];
+    if (article.topics && article.topics.length > 0) {
+        metadata.push(`🏷️ ${sanitizeSlackText(article.topics.slice(0, 3).join(', '))}`);
+    }
+    if (article.publishDate && !isNaN(new Date(article.publishDate).getTime())) {
+        metadata.push(`📅 ${new Date(article.publishDate).toLocaleDateString()}`);
+    }
+    if (article.author) {
+        metadata.push(`✍️ ${sanitizeSlackText(article.author)}`);
+    }
+    if (article.readingTimeMinutes) {
+        metadata.push(`⏱️ ${article.readingTimeMinutes} min read`);
+    }
+    return metadata;
+}
+
+// Public, unfurl-style card for sharing an article into a channel
+function formatArticleCard(article, sharedBy) {
+    const metadata = articleMetadata(article);
+    metadata.push(`📣 Shared by <@${sharedBy}>`);
+    
+    return {
+        text: `<@${sharedBy}> shared "${sanitizeSlackText(article.title)}": ${article.url}`,
+        unfurl_links: false,
+        blocks: [
+            {
+                type: "section",
+                text: {
+                    type: "mrkdwn",
+                    text: `📰 *<${article.url}|${sanitizeSlackText(article.title)}>*${article.summary ? `\n${sanitizeSlackText(article.summary)}` : ''}`
+                },
+                accessory: {
+                    type: "button",
+                    text: { type: "plain_text", text: "📖 Read Article" },
+                    url: article.url,
+                    action_id: "read_shared"
+                }
+            },
+            {
+                type: "context",
+                elements: [{ type: "mrkdwn", text: metadata.join(' • ') }]
+            }
+        ]
+    };
+}
+
+const capitalize = word => word[0].toUpperCase() + word.slice(1);
+
+// Strip "<@U123>" mentions from an app_mention's text
+function stripMentions(text) {
+    return (text || '').replace(/<@[A-Z0-9]+(\|[^>]+)?>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Slack may wrap pasted links as <https://...> or <https://...|label>
+function unwrapSlackLink(text) {
+    const match = /^<([^|>]+)(\|[^>]*)?>$/.exec((text || '').trim());
+    return match ? match[1] : (text || '').trim();
+}
+
+// Renders in each reader's own timezone
+function slackDate(time) {
+    const date = new Date(time);
+    return `<!date^${Math.floor(date.getTime() / 1000)}^{date_short_pretty} at {time}|${date.toISOString()}>`;
+}
+
+module.exports = {
+    escapeSlackText,
+    sanitizeSlackText,
+    getHighlightTerms,
+    findBestPassage,
+    trimAroundFirstMatch,
+    highlightTerms,
+    formatSearchResults,
+    articleMetadata,
+    formatArticleCard,
+    capitalize,
+    stripMentions,
+    unwrapSlackLink,
+    slackDate
+};
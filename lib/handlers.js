@@ -0,0 +1,717 @@
+// Slack command, action, event and message handlers
+
+const { OAUTH_ENABLED } = require('./config');
+const { isArchiveArticleUrl } = require('./urls');
+const { getArticleForAction } = require('./scraper');
+const { searchWorklineArticles } = require('./search');
+const { hasSearchCriteria, parseSearchQuery } = require('./search-index');
+const { formatArticleCard, formatSearchResults, stripMentions } = require('./format');
+const { isWorkspaceAdmin } = require('./permissions');
+const { installationStore } = require('./installation-store');
+const {
+    channelNotAllowedMessage, describeWorkspaceSettings, handleSettingsCommand, isChannelAllowed,
+    parseSettingsSubmission, searchOptionsForTeam, updateWorkspaceSettings
+} = require('./settings');
+const {
+    clearSavedArticles, formatSavedArticles, handleSavedCommand, removeSavedArticle, saveArticleForUser
+} = require('./saved');
+const {
+    clearSearchHistory, handleHistoryCommand, handleStatsCommand, parseTimeWindow, recordClickEvent, recordSearchEvent
+} = require('./analytics');
+const {
+    findSubscription, getSubscriptions, handleSubscribeCommand, handleSubscriptionsCommand, handleUnsubscribeCommand,
+    isSubscriptionOwner, removeSubscription
+} = require('./subscriptions');
+const { UNFURL_RELATED_COUNT, findRelatedByTopics, formatArticleUnfurl } = require('./unfurl');
+const { publishHome, runHomeSearch } = require('./home');
+const { handleRelatedCommand, relatedArticlesMessage } = require('./related');
+const { answerQuestion, formatAnswer, isQuestion } = require('./answers');
+const { handleAdminCommand, isAdminSubcommand } = require('./admin');
+const { buildFindArticlesModal, messageToQuery, parseFindArticlesSubmission } = require('./find-articles');
+const { checkSearchRateLimit, rateLimitMessage } = require('./rate-limit');
+
+// Subcommands of /workline with the arguments each accepts; anything else is treated as a search,
+// so "history of hybrid work" or "saved by the bell" still search
+const noArgs = args => args.length === 0;
+const worklineSubcommands = new Map([
+    ['saved', { handler: handleSavedCommand, accepts: args => noArgs(args) || (args.length === 1 && args[0].toLowerCase() === 'clear') }],
+    ['stats', { handler: handleStatsCommand, accepts: args => args.every(arg => parseTimeWindow(arg) || arg.toLowerCase() === 'csv') }],
+    ['subscribe', { handler: handleSubscribeCommand, accepts: () => true }],
+    ['subscriptions', { handler: handleSubscriptionsCommand, accepts: noArgs }],
+    ['unsubscribe', { handler: handleUnsubscribeCommand, accepts: () => true }],
+    ['related', { handler: handleRelatedCommand, accepts: args => noArgs(args) || (args.length === 1 && /^<?https?:\/\//i.test(args[0])) }],
+    ['history', { handler: handleHistoryCommand, accepts: noArgs }],
+    ['settings', { handler: handleSettingsCommand, accepts: noArgs }],
+    ['admin', { handler: handleAdminCommand, accepts: args => noArgs(args) || isAdminSubcommand(args[0]) }]
+]);
+
+// Buttons post into the channel they were clicked in, so they follow the same channel restrictions
+async function ensureActionChannelAllowed(body, respond) {
+    if (isChannelAllowed(body.team?.id, body.channel?.id)) {
+        return true;
+    }
+    await respond({ text: channelNotAllowedMessage(body.team?.id), response_type: "ephemeral", replace_original: false });
+    return false;
+}
+
+// Run a search from a button and post the results as a new message
+async function respondWithSearch({ query, surface, body, respond }) {
+    if (!await ensureActionChannelAllowed(body, respond)) {
+        return;
+    }
+    
+    const limited = checkSearchRateLimit(body.user.id, body.team?.id);
+    if (limited) {
+        await respond({ text: rateLimitMessage(limited), response_type: "ephemeral", replace_original: false });
+        return;
+    }
+    
+    const startedAt = Date.now();
+    try {
+        const page = await searchWorklineArticles(query, searchOptionsForTeam(body.team?.id));
+        recordSearchEvent({ query, surface, userId: body.user.id, teamId: body.team?.id, page, startedAt });
+        
+        await respond({
+            ...(page.results.length > 0
+                ? formatSearchResults(query, page.results, page)
+                : { text: `🤷‍♂️ No articles found for "${query}".` }),
+            response_type: "ephemeral",
+            replace_original: false
+        });
+    } catch (error) {
+        console.error('❌ Search error:', error);
+        await respond({ text: "Sorry, I encountered an error while searching. Please try again in a moment.", response_type: "ephemeral", replace_original: false });
+    }
+}
+
+// Register every listener on a Bolt app
+function registerHandlers(app) {
+    // Main slash command handler
+    app.command('/workline', async ({ command, ack, respond, client }) => {
+        await ack();
+        
+        const query = command.text.trim();
+        
+        if (!isChannelAllowed(command.team_id, command.channel_id)) {
+            await respond({ text: channelNotAllowedMessage(command.team_id) });
+            return;
+        }
+        
+        const [subcommand, ...args] = query.split(/\s+/);
+        const subcommandEntry = worklineSubcommands.get(subcommand.toLowerCase());
+        if (subcommandEntry && subcommandEntry.accepts(args)) {
+            try {
+                await subcommandEntry.handler({ command, args, respond, client });
+            } catch (error) {
+                console.error(`❌ /workline ${subcommand} error:`, error);
+                await respond({ text: "Sorry, something went wrong. Please try again in a moment." });
+            }
+            return;
+        }
+        
+        if (!query) {
+            const { providers } = searchOptionsForTeam(command.team_id);
+            const poweredBy = providers.map(provider => `${provider.emoji} ${provider.label}`).join(' + ');
+            
+            await respond({
+                blocks: [
+                    {
+                        type: "section",
+                        text: {
+                            type: "mrkdwn",
+                            text: "🔍 *Welcome to Workline Search*\n\nI can help you find Phil Kirschner's insights on workplace transformation, hybrid work, and organizational change."
+                        }
+                    },
+                    { type: "divider" },
+                    {
+                        type: "section",
+                        text: {
+                            type: "mrkdwn",
+                            text: "*How to search:*\n• `/workline change management` - Find change insights\n• `/workline hybrid work` - Discover hybrid strategies\n• `/workline employee experience` - Explore EX topics\n• `/workline IKEA` - Find specific terms within articles\n• `/workline related <url>` - Find articles like this one\n• `/workline saved` - Show your reading list\n• `/workline history` - Re-run your recent searches\n• `/workline subscribe hybrid work daily` - Get new articles posted here\n• `/workline settings` - Workspace settings (admins)\n• `/workline admin status` - Cache and crawl controls (admins)\n• Message ⋯ menu → *Find Workline articles* - Post reading for a thread"
+                        }
+                    },
+                    {
+                        type: "section",
+                        text: {
+                            type: "mrkdwn",
+                            text: "*Search tips:*\n• `\"return to office\"` - Match an exact phrase\n• `hybrid -remote` - Exclude a word\n• `topic:leadership` - Only articles tagged with a topic\n• `after:2024-01` / `before:2023` - Filter by publish date"
+                        }
+                    },
+                    {
+                        type: "section",
+                        text: {
+                            type: "mrkdwn",
+                            text: `*Search powered by:* ${poweredBy}\n*Popular topics:* change management, hybrid work, employee experience, workplace metrics, leadership, innovation`
+                        }
+                    }
+                ]
+            });
+            return;
+        }
+        
+        const limited = checkSearchRateLimit(command.user_id, command.team_id);
+        if (limited) {
+            await respond({ text: rateLimitMessage(limited) });
+            return;
+        }
+        
+        // Show "searching" indicator
+        await respond({
+            text: `🔍 Searching for "${query}"...`,
+            response_type: "ephemeral"
+        });
+        
+        const startedAt = Date.now();
+        try {
+            const page = await searchWorklineArticles(query, searchOptionsForTeam(command.team_id));
+            recordSearchEvent({ query, surface: 'slash', userId: command.user_id, teamId: command.team_id, page, startedAt });
+            
+            if (page.results.length === 0) {
+                await respond({
+                    blocks: [
+                        {
+                            type: "section",
+                            text: {
+                                type: "mrkdwn",
+                                text: `🤷‍♂️ No articles found for *"${query}"*`
+                            }
+                        },
+                        {
+                            type: "section",
+                            text: {
+                                type: "mrkdwn",
+                                text: "*Try searching for:*\n• change management\n• hybrid work\n• employee experience\n• workplace metrics\n• innovation\n• leadership"
+                            }
+                        }
+                    ],
+                    replace_original: true
+                });
+                return;
+            }
+            
+            await respond({
+                ...formatSearchResults(query, page.results, page),
+                replace_original: true
+            });
+            
+        } catch (error) {
+            recordSearchEvent({ query, surface: 'slash', userId: command.user_id, teamId: command.team_id, page: null, startedAt });
+            console.error('❌ Search error:', error);
+            await respond({
+                text: "Sorry, I encountered an error while searching. Please try again in a moment.",
+                replace_original: true
+            });
+        }
+    });
+
+    // Handle direct messages to the bot
+    app.message(async ({ message, say }) => {
+        // Only respond to direct messages (channel mentions go through app_mention)
+        if (message.channel_type !== 'im') {
+            return;
+        }
+        
+        const query = message.text.trim();
+        
+        // Ignore empty messages or very short messages
+        if (!query || query.length < 3) {
+            await say("👋 Hi! I can help you search Workline articles. Try asking me something like:\n• \"change management\"\n• \"hybrid work strategies\"\n• \"employee experience tips\"");
+            return;
+        }
+        
+        // Common greetings - respond helpfully
+        if (/^(hi|hello|hey|help)$/i.test(query)) {
+            await say("👋 Hello! I can search Phil Kirschner's Workline articles for you. Just type what you're looking for:\n• \"change management\"\n• \"IKEA furniture example\"\n• \"workplace metrics\"\n\nOr ask a question and I'll quote the articles that answer it:\n• \"How should we measure office utilization?\"");
+            return;
+        }
+        
+        const limited = checkSearchRateLimit(message.user, message.team);
+        if (limited) {
+            await say(rateLimitMessage(limited));
+            return;
+        }
+        
+        // Questions get an answer quoted from the articles; if nothing answers it, fall back to a search
+        if (isQuestion(query)) {
+            const startedAt = Date.now();
+            try {
+                const answer = await answerQuestion(query);
+                if (answer) {
+                    recordSearchEvent({ query, surface: 'question', userId: message.user, teamId: message.team, page: { total: answer.quotes.length }, startedAt });
+                    await say(formatAnswer(answer));
+                    return;
+                }
+            } catch (error) {
+                console.error('❌ Question answering error:', error);
+            }
+        }
+        
+        try {
+            // Show typing indicator
+            await say(`🔍 Searching for "${query}"...`);
+            
+            // Use your existing search function
+            const startedAt = Date.now();
+            const page = await searchWorklineArticles(query, searchOptionsForTeam(message.team));
+            recordSearchEvent({ query, surface: 'dm', userId: message.user, teamId: message.team, page, startedAt });
+            
+            if (page.results.length === 0) {
+                await say(`🤷‍♂️ No articles found for "${query}". Try terms like: change management, hybrid work, employee experience, or workplace innovation.`);
+                return;
+            }
+            
+            // Format results for direct message (same as slash command)
+            await say(formatSearchResults(query, page.results, page));
+            
+        } catch (error) {
+            console.error('❌ DM search error:', error);
+            await say("Sorry, I encountered an error while searching. Please try again in a moment.");
+        }
+    });
+
+    // Handle @mentions in channels - reply in a thread
+    app.event('app_mention', async ({ event, say, client }) => {
+        const query = stripMentions(event.text);
+        const thread_ts = event.thread_ts || event.ts;
+        
+        if (!isChannelAllowed(event.team, event.channel)) {
+            await client.chat.postEphemeral({ channel: event.channel, user: event.user, text: channelNotAllowedMessage(event.team) })
+                .catch(error => console.error('❌ postEphemeral error:', error.data?.error || error.message));
+            return;
+        }
+        
+        if (!query || query.length < 3 || /^(hi|hello|hey|help)$/i.test(query)) {
+            await say({
+                thread_ts,
+                text: "👋 Mention me with what you're looking for, e.g. `@Workline hybrid work` or `@Workline \"change management\"`."
+            });
+            return;
+        }
+        
+        const limited = checkSearchRateLimit(event.user, event.team);
+        if (limited) {
+            await client.chat.postEphemeral({ channel: event.channel, user: event.user, text: rateLimitMessage(limited) })
+                .catch(error => console.error('❌ postEphemeral error:', error.data?.error || error.message));
+            return;
+        }
+        
+        const startedAt = Date.now();
+        try {
+            const page = await searchWorklineArticles(query, searchOptionsForTeam(event.team));
+            recordSearchEvent({ query, surface: 'mention', userId: event.user, teamId: event.team, page, startedAt });
+            
+            if (page.results.length === 0) {
+                await say({
+                    thread_ts,
+                    text: `🤷‍♂️ No articles found for "${query}". Try terms like: change management, hybrid work, employee experience, or workplace innovation.`
+                });
+                return;
+            }
+            
+            // Public reply: no Next/Previous buttons, they would repage it for everyone in the thread
+            await say({ thread_ts, text: `Workline results for "${query}"`, ...formatSearchResults(query, page.results, page, { paging: false }) });
+            
+        } catch (error) {
+            console.error('❌ Mention search error:', error);
+            await say({ thread_ts, text: "Sorry, I encountered an error while searching. Please try again in a moment." });
+        }
+    });
+
+    // App Home tab
+    app.event('app_home_opened', async ({ event, context, client }) => {
+        if (event.tab !== 'home') return;
+        
+        try {
+            await publishHome(client, event.user, context.teamId);
+        } catch (error) {
+            console.error('❌ App Home error:', error.data?.error || error.message);
+        }
+    });
+
+    app.action('home_search', async ({ ack, action, body, client }) => {
+        await ack();
+        const query = (action.value || '').trim();
+        if (!query) return;
+        
+        try {
+            await runHomeSearch(client, body.user.id, body.team?.id, query);
+        } catch (error) {
+            console.error('❌ Home search error:', error);
+        }
+    });
+
+    // Trending topic and recent search buttons re-run a search on the Home tab
+    app.action(/^home_(topic|rerun)_\d+$/, async ({ ack, action, body, client }) => {
+        await ack();
+        const query = action.action_id.startsWith('home_topic_') ? `topic:"${action.value}"` : action.value;
+        
+        try {
+            await runHomeSearch(client, body.user.id, body.team?.id, query);
+        } catch (error) {
+            console.error('❌ Home search error:', error);
+        }
+    });
+
+    app.action('home_save_article', async ({ ack, action, body, client }) => {
+        await ack();
+        
+        try {
+            const article = await getArticleForAction(action.value);
+            saveArticleForUser(body.user.id, article);
+            await publishHome(client, body.user.id, body.team?.id);
+        } catch (error) {
+            console.error('❌ Home save error:', error);
+        }
+    });
+
+    // Unfurl pasted flexos.work/the-workline/... links
+    app.event('link_shared', async ({ event, context, client }) => {
+        // Unfurls are posted into the conversation, so they follow the workspace's channel limits
+        if (!isChannelAllowed(event.team ?? context.teamId, event.channel)) return;
+        
+        const links = (event.links || []).filter(link => isArchiveArticleUrl(link.url));
+        if (links.length === 0) return;
+        
+        const unfurls = {};
+        for (const link of links) {
+            try {
+                const article = await getArticleForAction(link.url);
+                if (article.title === article.url) continue; // Couldn't load it
+                
+                const related = await findRelatedByTopics(article, UNFURL_RELATED_COUNT);
+                unfurls[link.url] = formatArticleUnfurl(article, related);
+            } catch (error) {
+                console.error(`❌ Unfurl error for ${link.url}:`, error.message);
+            }
+        }
+        
+        if (Object.keys(unfurls).length === 0) return;
+        
+        try {
+            // Links in the message composer come with an unfurl_id instead of a message ts
+            await client.chat.unfurl(event.unfurl_id
+                ? { unfurl_id: event.unfurl_id, source: event.source, unfurls }
+                : { channel: event.channel, ts: event.message_ts, unfurls });
+        } catch (error) {
+            console.error('❌ chat.unfurl error:', error.data?.error || error.message);
+        }
+    });
+
+    // Next/Previous buttons: fetch the requested page and update the message in place
+    app.action(/^results_(next|prev)$/, async ({ ack, action, body, respond }) => {
+        await ack();
+        
+        if (!await ensureActionChannelAllowed(body, respond)) {
+            return;
+        }
+        
+        const limited = checkSearchRateLimit(body.user.id, body.team?.id);
+        if (limited) {
+            await respond({ text: rateLimitMessage(limited), response_type: "ephemeral", replace_original: false });
+            return;
+        }
+        
+        try {
+            const { q: query, o: offset, id: resultSetId, s: searchId } = JSON.parse(action.value);
+            const page = await searchWorklineArticles(query, { ...searchOptionsForTeam(body.team?.id), offset, resultSetId, searchId });
+            
+            await respond({
+                ...formatSearchResults(query, page.results, page),
+                replace_original: true
+            });
+            
+        } catch (error) {
+            console.error('❌ Paging error:', error);
+            await respond({
+                text: "Sorry, I couldn't load more results. Please try searching again.",
+                response_type: "ephemeral",
+                replace_original: false
+            });
+        }
+    });
+
+    // Settings modal submitted
+    app.view('workline_settings', async ({ ack, body, view, client }) => {
+        if (!await isWorkspaceAdmin(client, body.user.id)) {
+            await ack({ response_action: 'errors', errors: { result_count: 'Only workspace admins can change Workline settings.' } });
+            return;
+        }
+        await ack();
+        
+        const teamId = view.private_metadata;
+        const settings = updateWorkspaceSettings(teamId, parseSettingsSubmission(view.state.values), body.user.id);
+        console.log(`⚙️ Workspace settings updated for ${teamId} by ${body.user.id}`);
+        
+        try {
+            const { channel } = await client.conversations.open({ users: body.user.id });
+            await client.chat.postMessage({ channel: channel.id, text: `⚙️ Workline settings saved:\n${describeWorkspaceSettings(settings)}` });
+        } catch (error) {
+            console.error('❌ Could not confirm settings:', error.data?.error || error.message);
+        }
+    });
+
+    // "Find Workline articles" message shortcut - refine the query from the message, then post results in its thread
+    app.shortcut('find_workline_articles', async ({ ack, shortcut, client }) => {
+        await ack();
+        
+        if (!isChannelAllowed(shortcut.team?.id, shortcut.channel.id)) {
+            await client.chat.postEphemeral({ channel: shortcut.channel.id, user: shortcut.user.id, text: channelNotAllowedMessage(shortcut.team?.id) })
+                .catch(error => console.error('❌ postEphemeral error:', error.data?.error || error.message));
+            return;
+        }
+        
+        const { message } = shortcut;
+        try {
+            await client.views.open({
+                trigger_id: shortcut.trigger_id,
+                view: buildFindArticlesModal({
+                    query: messageToQuery(message.text),
+                    channelId: shortcut.channel.id,
+                    threadTs: message.thread_ts || message.ts,
+                    messageText: message.text
+                })
+            });
+        } catch (error) {
+            console.error('❌ Could not open find articles modal:', error.data?.error || error.message);
+        }
+    });
+
+    app.view('find_workline_articles', async ({ ack, body, view, client }) => {
+        const { query, channelId, threadTs } = parseFindArticlesSubmission(view);
+        const userId = body.user.id;
+        const teamId = body.team?.id;
+        
+        if (!hasSearchCriteria(parseSearchQuery(query))) {
+            await ack({ response_action: 'errors', errors: { query: 'Enter some keywords to search for.' } });
+            return;
+        }
+        if (!isChannelAllowed(teamId, channelId)) {
+            await ack({ response_action: 'errors', errors: { query: channelNotAllowedMessage(teamId) } });
+            return;
+        }
+        
+        const limited = checkSearchRateLimit(userId, teamId);
+        if (limited) {
+            await ack({ response_action: 'errors', errors: { query: rateLimitMessage(limited) } });
+            return;
+        }
+        await ack();
+        
+        const startedAt = Date.now();
+        try {
+            const page = await searchWorklineArticles(query, searchOptionsForTeam(teamId));
+            recordSearchEvent({ query, surface: 'shortcut', userId, teamId, page, startedAt });
+            
+            if (page.results.length === 0) {
+                await client.chat.postEphemeral({
+                    channel: channelId,
+                    user: userId,
+                    text: `🤷‍♂️ No articles found for "${query}". Try fewer or broader keywords.`
+                });
+                return;
+            }
+            
+            // Posted publicly, so no Next/Previous buttons: one person's click would repage it for everyone
+            const { blocks } = formatSearchResults(query, page.results, page, { paging: false });
+            await client.chat.postMessage({
+                channel: channelId,
+                thread_ts: threadTs,
+                unfurl_links: false,
+                text: `Workline results for "${query}"`,
+                blocks: [
+                    { type: "context", elements: [{ type: "mrkdwn", text: `📚 Requested by <@${userId}>` }] },
+                    ...blocks
+                ]
+            });
+            
+        } catch (error) {
+            console.error('❌ Find articles error:', error.data?.error || error.message);
+            const notInChannel = ['not_in_channel', 'channel_not_found'].includes(error.data?.error);
+            await client.chat.postEphemeral({
+                channel: channelId,
+                user: userId,
+                text: notInChannel
+                    ? "I can't post in that thread yet. Invite me with `/invite @Workline` and try again."
+                    : "Sorry, I couldn't find articles for that message. Please try again in a moment."
+            }).catch(ephemeralError => console.error('❌ postEphemeral error:', ephemeralError.data?.error || ephemeralError.message));
+        }
+    });
+
+    // Forget a workspace's installation and subscriptions when it removes the app
+    app.event('app_uninstalled', async ({ context }) => {
+        console.log(`👋 Workline uninstalled from ${context.teamId || context.enterpriseId}`);
+        
+        if (OAUTH_ENABLED) {
+            await installationStore.deleteInstallation({
+                teamId: context.teamId,
+                enterpriseId: context.enterpriseId,
+                isEnterpriseInstall: context.isEnterpriseInstall
+            });
+        }
+        getSubscriptions()
+            .filter(subscription => subscription.teamId === context.teamId)
+            .forEach(subscription => removeSubscription(subscription.id));
+    });
+
+    // "Show search results instead" under an answer
+    app.action('qa_search', async ({ ack, action, body, respond }) => {
+        await ack();
+        await respondWithSearch({ query: action.value, surface: 'dm', body, respond });
+    });
+
+    // "Run again" in /workline history
+    app.action(/^history_rerun_\d+$/, async ({ ack, action, body, respond }) => {
+        await ack();
+        await respondWithSearch({ query: action.value, surface: 'slash', body, respond });
+    });
+
+    app.action('clear_history', async ({ ack, body, respond }) => {
+        await ack();
+        clearSearchHistory(body.user.id);
+        await respond({ text: "🧹 Your search history has been cleared.", replace_original: true });
+    });
+
+    // Share an article into the current channel as a public card
+    app.action('share_article', async ({ ack, action, body, client, respond }) => {
+        await ack();
+        
+        if (!await ensureActionChannelAllowed(body, respond)) {
+            return;
+        }
+        
+        try {
+            const article = await getArticleForAction(action.value);
+            await client.chat.postMessage({
+                channel: body.channel.id,
+                ...formatArticleCard(article, body.user.id)
+            });
+            
+        } catch (error) {
+            console.error('❌ Share error:', error.data?.error || error.message);
+            const notInChannel = ['not_in_channel', 'channel_not_found'].includes(error.data?.error);
+            await respond({
+                text: notInChannel
+                    ? "I can't post here yet. Invite me with `/invite @Workline` and try again."
+                    : "Sorry, I couldn't share that article. Please try again in a moment.",
+                response_type: "ephemeral",
+                replace_original: false
+            });
+        }
+    });
+
+    // Add an article to the user's reading list
+    app.action('save_article', async ({ ack, action, body, respond }) => {
+        await ack();
+        
+        try {
+            const article = await getArticleForAction(action.value);
+            const added = saveArticleForUser(body.user.id, article);
+            
+            await respond({
+                text: added
+                    ? `🔖 Saved *${article.title}*. See your list with \`/workline saved\`.`
+                    : `🔖 *${article.title}* is already on your reading list.`,
+                response_type: "ephemeral",
+                replace_original: false
+            });
+            
+        } catch (error) {
+            console.error('❌ Save error:', error);
+            await respond({
+                text: "Sorry, I couldn't save that article. Please try again in a moment.",
+                response_type: "ephemeral",
+                replace_original: false
+            });
+        }
+    });
+
+    // Reading list management
+    app.action('unsave_article', async ({ ack, action, body, respond }) => {
+        await ack();
+        removeSavedArticle(body.user.id, action.value);
+        await respond({ ...formatSavedArticles(body.user.id), replace_original: true });
+    });
+
+    app.action('clear_saved', async ({ ack, body, respond }) => {
+        await ack();
+        clearSavedArticles(body.user.id);
+        await respond({ text: "🗑️ Your reading list has been cleared.", replace_original: true });
+    });
+
+    app.action('unsubscribe', async ({ ack, action, body, respond }) => {
+        await ack();
+        
+        const subscription = findSubscription(action.value);
+        if (subscription && !isSubscriptionOwner(subscription, body.user.id, body.team?.id)) {
+            await respond({
+                text: `🔒 Only <@${subscription.createdBy || subscription.userId}> can remove that subscription.`,
+                response_type: "ephemeral",
+                replace_original: false
+            });
+            return;
+        }
+        
+        const removed = subscription ? removeSubscription(subscription.id) : null;
+        await respond({
+            text: removed ? `🗑️ Unsubscribed from *${removed.query}*.` : "That subscription was already removed.",
+            replace_original: true
+        });
+    });
+
+    // Related button on a search result
+    app.action('related_article', async ({ ack, action, body, respond }) => {
+        await ack();
+        
+        if (!await ensureActionChannelAllowed(body, respond)) {
+            return;
+        }
+        
+        try {
+            await respond({
+                ...(await relatedArticlesMessage(action.value)),
+                response_type: "ephemeral",
+                replace_original: false
+            });
+        } catch (error) {
+            console.error('❌ Related articles error:', error);
+            await respond({
+                text: "Sorry, I couldn't find related articles. Please try again in a moment.",
+                response_type: "ephemeral",
+                replace_original: false
+            });
+        }
+    });
+
+    app.action(/^read_related_\d+$/, async ({ ack }) => {
+        await ack();
+    });
+
+    app.action('read_shared', async ({ ack }) => {
+        await ack();
+    });
+
+    // Handle "Read Article" clicks (the URL button opens the page; we just record the click)
+    app.action(/^read_\d+$/, async ({ ack, action, body }) => {
+        await ack();
+        
+        let context = {};
+        try {
+            context = JSON.parse(action.value || '{}');
+        } catch (e) {
+            // Older messages have no value
+        }
+        
+        recordClickEvent({
+            searchId: context.s || null,
+            query: context.q || null,
+            url: action.url,
+            rank: context.r || Number(action.action_id.replace('read_', '')) + 1,
+            userId: body.user.id,
+            teamId: body.team?.id
+        });
+    });
+}
+
+module.exports = {
+    registerHandlers
+};
@@ -0,0 +1,81 @@
+// Health, readiness and metrics endpoints
+
+const { OAUTH_ENABLED, SOCKET_MODE } = require('./config');
+const { formatMetrics } = require('./metrics');
+const { googleQuotaRemaining } = require('./http');
+const { articleCache, storeState } = require('./article-store');
+
+// Health, readiness and metrics endpoints for the hosting platform, served on PORT in either mode
+function sendHttpResponse(res, status, body, contentType = 'text/plain; charset=utf-8') {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+}
+
+const healthRoutes = [
+    {
+        path: '/healthz',
+        method: ['GET'],
+        handler: (req, res) => sendHttpResponse(res, 200, 'ok\n')
+    },
+    {
+        // Ready once the article cache has loaded and Slack is connected
+        path: '/readyz',
+        method: ['GET'],
+        handler: (req, res) => {
+            const cacheLoaded = articleCache.size > 0 || storeState.lastCacheTime !== null;
+            const ready = cacheLoaded && slackConnected;
+            sendHttpResponse(res, ready ? 200 : 503, JSON.stringify({
+                ready,
+                cacheLoaded,
+                slackConnected,
+                cachedArticles: articleCache.size
+            }), 'application/json');
+        }
+    },
+    {
+        path: '/metrics',
+        method: ['GET'],
+        handler: (req, res) => sendHttpResponse(res, 200, formatMetrics({
+            cachedArticles: articleCache.size,
+            googleQuotaRemaining: googleQuotaRemaining()
+        }), 'text/plain; version=0.0.4; charset=utf-8')
+    }
+];
+
+// Track the Slack connection for /readyz
+let slackConnected = false;
+const SLACK_AUTH_RETRY_DELAY = 30 * 1000;
+
+function watchSlackConnection(app) {
+    if (SOCKET_MODE) {
+        const socketClient = app.receiver.client;
+        socketClient.on('connected', () => { slackConnected = true; });
+        socketClient.on('disconnected', () => {
+            slackConnected = false;
+            console.log('⚠️ Socket mode disconnected - reconnecting...');
+        });
+        slackConnected = true; // app.start() resolves once the socket is open
+        return;
+    }
+    
+    // HTTP mode has no connection to watch: check the bot token works (OAuth installs bring their own)
+    if (OAUTH_ENABLED) {
+        slackConnected = true;
+        return;
+    }
+    const checkAuth = async () => {
+        try {
+            await app.client.auth.test();
+            slackConnected = true;
+        } catch (error) {
+            console.error('❌ Slack auth.test failed:', error.data?.error || error.message);
+            setTimeout(checkAuth, SLACK_AUTH_RETRY_DELAY);
+        }
+    };
+    checkAuth();
+}
+
+module.exports = {
+    healthRoutes,
+    watchSlackConnection
+};
@@ -0,0 +1,187 @@
+// App Home tab
+
+const { articleCache, articleTimestamp, findStoredArticle } = require('./article-store');
+const { searchWorklineArticles } = require('./search');
+const { sanitizeSlackText } = require('./format');
+const { searchOptionsForTeam } = require('./settings');
+const { getSavedArticles } = require('./saved');
+const { getSearchHistory, loadAnalyticsEvents, recordSearchEvent } = require('./analytics');
+const { checkSearchRateLimit, rateLimitMessage } = require('./rate-limit');
+
+const homeSearches = new Map(); // userId -> last search run from the Home tab
+const HOME_LIST_SIZE = 5;
+const TRENDING_WINDOW = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function getRecentArticles(count) {
+    return Array.from(articleCache.values())
+        .sort((a, b) => articleTimestamp(b) - articleTimestamp(a))
+        .slice(0, count);
+}
+
+function getRecentSearches(userId, count) {
+    return getSearchHistory(userId).slice(0, count).map(entry => entry.query);
+}
+
+// Topics of recently clicked articles count double; the newest articles fill in the rest
+function getTrendingTopics(count, teamId) {
+    const counts = new Map();
+    const addTopics = (article, weight) => (article?.topics || []).forEach(topic => {
+        counts.set(topic, (counts.get(topic) || 0) + weight);
+    });
+    
+    loadAnalyticsEvents(new Date(Date.now() - TRENDING_WINDOW), teamId)
+        .filter(event => event.type === 'click' && event.url)
+        .forEach(event => addTopics(findStoredArticle(event.url), 2));
+    getRecentArticles(20).forEach(article => addTopics(article, 1));
+    
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, count)
+        .map(([topic]) => topic);
+}
+
+function homeArticleBlock(article, withSaveButton) {
+    const summary = article.summary
+        ? `\n${sanitizeSlackText(article.summary.substring(0, 150))}${article.summary.length > 150 ? '…' : ''}`
+        : '';
+    const block = {
+        type: "section",
+        text: {
+            type: "mrkdwn",
+            text: `*<${article.url}|${sanitizeSlackText(article.title)}>*${summary}`
+        }
+    };
+    if (withSaveButton) {
+        block.accessory = {
+            type: "button",
+            text: { type: "plain_text", text: "🔖 Save" },
+            action_id: "home_save_article",
+            value: article.url
+        };
+    }
+    return block;
+}
+
+function buildHomeView(userId, teamId) {
+    const blocks = [
+        {
+            type: "header",
+            text: { type: "plain_text", text: "🔍 Workline Search" }
+        },
+        {
+            type: "section",
+            text: {
+                type: "mrkdwn",
+                text: "Find Phil Kirschner's insights on workplace transformation, hybrid work and organizational change. You can also DM me or mention me in a channel."
+            }
+        },
+        {
+            type: "input",
+            dispatch_action: true,
+            block_id: "home_search",
+            label: { type: "plain_text", text: "Search Workline" },
+            element: {
+                type: "plain_text_input",
+                action_id: "home_search",
+                placeholder: { type: "plain_text", text: "e.g. hybrid work, \"return to office\", topic:leadership" },
+                dispatch_action_config: { trigger_actions_on: ["on_enter_pressed"] }
+            }
+        }
+    ];
+    
+    const lastSearch = homeSearches.get(userId);
+    if (lastSearch) {
+        blocks.push(
+            { type: "divider" },
+            {
+                type: "section",
+                text: {
+                    type: "mrkdwn",
+                    text: lastSearch.notice || (lastSearch.results.length > 0
+                        ? `🎯 *Results for "${lastSearch.query}"*`
+                        : `🤷‍♂️ No articles found for *"${lastSearch.query}"*`)
+                }
+            },
+            ...lastSearch.results.map(article => homeArticleBlock(article, true))
+        );
+    }
+    
+    const trending = getTrendingTopics(6, teamId);
+    if (trending.length > 0) {
+        blocks.push(
+            { type: "divider" },
+            { type: "section", text: { type: "mrkdwn", text: "🔥 *Trending topics*" } },
+            {
+                type: "actions",
+                elements: trending.map((topic, i) => ({
+                    type: "button",
+                    text: { type: "plain_text", text: topic.substring(0, 70) },
+                    action_id: `home_topic_${i}`,
+                    value: topic
+                }))
+            }
+        );
+    }
+    
+    const recentSearches = getRecentSearches(userId, HOME_LIST_SIZE);
+    if (recentSearches.length > 0) {
+        blocks.push(
+            { type: "divider" },
+            { type: "section", text: { type: "mrkdwn", text: "🕘 *Your recent searches*" } },
+            {
+                type: "actions",
+                elements: recentSearches.map((query, i) => ({
+                    type: "button",
+                    text: { type: "plain_text", text: query.substring(0, 70) },
+                    action_id: `home_rerun_${i}`,
+                    value: query.substring(0, 2000)
+                }))
+            }
+        );
+    }
+    
+    const saved = getSavedArticles(userId).slice(0, HOME_LIST_SIZE);
+    blocks.push(
+        { type: "divider" },
+        { type: "section", text: { type: "mrkdwn", text: "🔖 *Your saved articles*" } },
+        ...(saved.length > 0
+            ? saved.map(article => homeArticleBlock(article, false))
+            : [{ type: "context", elements: [{ type: "mrkdwn", text: "Nothing saved yet. Use *Save* on any result." }] }])
+    );
+    
+    const recent = getRecentArticles(HOME_LIST_SIZE);
+    if (recent.length > 0) {
+        blocks.push(
+            { type: "divider" },
+            { type: "section", text: { type: "mrkdwn", text: "🆕 *Recent articles*" } },
+            ...recent.map(article => homeArticleBlock(article, true))
+        );
+    }
+    
+    return { type: "home", blocks };
+}
+
+async function publishHome(client, userId, teamId) {
+    await client.views.publish({ user_id: userId, view: buildHomeView(userId, teamId) });
+}
+
+async function runHomeSearch(client, userId, teamId, query) {
+    const limited = checkSearchRateLimit(userId, teamId);
+    if (limited) {
+        homeSearches.set(userId, { query, results: [], notice: rateLimitMessage(limited) });
+        await publishHome(client, userId, teamId);
+        return;
+    }
+    
+    const startedAt = Date.now();
+    const page = await searchWorklineArticles(query, searchOptionsForTeam(teamId));
+    recordSearchEvent({ query, surface: 'home', userId, teamId, page, startedAt });
+    
+    homeSearches.set(userId, { query, results: page.results });
+    await publishHome(client, userId, teamId);
+}
+
+module.exports = {
+    publishHome,
+    runHomeSearch
+};
@@ -0,0 +1,219 @@
+// Outbound HTTP: retries, per-host concurrency, circuit breakers and the Google quota
+
+const axios = require('axios');
+const {
+    CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_RESET_TIMEOUT, GOOGLE_DAILY_QUOTA, GOOGLE_QUOTA_FILE,
+    GOOGLE_QUOTA_RESERVE, HTTP_HOST_CONCURRENCY, HTTP_MAX_RETRIES, HTTP_RETRY_BASE_DELAY,
+    HTTP_RETRY_MAX_DELAY
+} = require('./config');
+const { readJsonFile, writeJsonFile } = require('./storage');
+const { metrics } = require('./metrics');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Shared HTTP layer
+// Every outbound request goes through httpGet(): retries 429/5xx with jittered backoff,
+// limits concurrent requests per host and stops calling hosts that keep failing.
+class HttpError extends Error {
+    constructor(message, { url, status = null, code = null } = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.url = url;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+class CircuitOpenError extends HttpError {
+    constructor(host, url) {
+        super(`Circuit open for ${host}, not calling it for now`, { url, code: 'CIRCUIT_OPEN' });
+        this.name = 'CircuitOpenError';
+    }
+}
+
+const DEFAULT_RETRY_STATUSES = [429, 500, 502, 503, 504];
+const hostStates = new Map(); // host -> { active, waiting, failures, circuit, openedAt, halfOpenProbe }
+
+function getHostState(host) {
+    if (!hostStates.has(host)) {
+        hostStates.set(host, { active: 0, waiting: [], failures: 0, circuit: 'closed', openedAt: null, halfOpenProbe: false });
+    }
+    return hostStates.get(host);
+}
+
+async function acquireHostSlot(state) {
+    if (state.active < HTTP_HOST_CONCURRENCY) {
+        state.active++;
+        return;
+    }
+    // The releasing request hands its slot straight to us
+    await new Promise(resolve => state.waiting.push(resolve));
+}
+
+function releaseHostSlot(state) {
+    const next = state.waiting.shift();
+    if (next) {
+        next();
+    } else {
+        state.active--;
+    }
+}
+
+// Open circuits reject immediately; after the reset timeout one trial request is let through
+// and everything else keeps failing fast until it settles. Returns true for that trial request.
+function checkCircuit(host, state, url) {
+    if (state.circuit === 'closed') return false;
+    
+    if (state.circuit === 'open') {
+        if (Date.now() - state.openedAt < CIRCUIT_RESET_TIMEOUT) {
+            throw new CircuitOpenError(host, url);
+        }
+        state.circuit = 'half-open';
+    }
+    if (state.halfOpenProbe) {
+        throw new CircuitOpenError(host, url);
+    }
+    state.halfOpenProbe = true;
+    return true;
+}
+
+function recordHostSuccess(state) {
+    state.failures = 0;
+    state.circuit = 'closed';
+    state.halfOpenProbe = false;
+}
+
+function recordHostFailure(host, state) {
+    state.failures++;
+    state.halfOpenProbe = false;
+    if (state.circuit === 'half-open' || state.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+        if (state.circuit !== 'open') {
+            console.error(`🔌 Circuit opened for ${host} after ${state.failures} failures`);
+        }
+        state.circuit = 'open';
+        state.openedAt = Date.now();
+    }
+}
+
+function isRetryableHttpError(error, retryStatuses) {
+    if (error.response) {
+        return retryStatuses.includes(error.response.status);
+    }
+    // No response at all: timeouts, resets, DNS hiccups
+    return error.code !== 'ERR_CANCELED';
+}
+
+// Honour Retry-After when the server sends it, otherwise exponential backoff with full jitter
+function retryDelay(attempt, error) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (delay >= 0) {
+            return Math.min(delay, HTTP_RETRY_MAX_DELAY);
+        }
+    }
+    return Math.random() * Math.min(HTTP_RETRY_MAX_DELAY, HTTP_RETRY_BASE_DELAY * 2 ** attempt);
+}
+
+// GET with retries; `config` is passed to axios. Throws HttpError.
+async function httpGet(url, config = {}, { retries = HTTP_MAX_RETRIES, retryStatuses = DEFAULT_RETRY_STATUSES } = {}) {
+    const host = new URL(url).host;
+    const state = getHostState(host);
+    
+    for (let attempt = 0; ; attempt++) {
+        const probe = checkCircuit(host, state, url);
+        
+        let lastError;
+        await acquireHostSlot(state);
+        try {
+            const response = await axios.get(url, config);
+            recordHostSuccess(state);
+            return response;
+        } catch (error) {
+            lastError = error;
+        } finally {
+            releaseHostSlot(state);
+        }
+        
+        const status = lastError.response?.status || null;
+        const retryable = isRetryableHttpError(lastError, retryStatuses);
+        
+        // The trial request of a half-open circuit gets no retries: it decides the circuit either way
+        if (!retryable || attempt >= retries || probe) {
+            // A 404 says nothing about the host's health; timeouts and 5xx do
+            if (retryable || !lastError.response) {
+                recordHostFailure(host, state);
+            } else if (status < 500) {
+                recordHostSuccess(state);
+            } else if (probe) {
+                recordHostFailure(host, state);
+            }
+            throw new HttpError(`GET ${url} failed: ${lastError.message}`, { url, status, code: lastError.code });
+        }
+        
+        const delay = retryDelay(attempt, lastError);
+        console.log(`🔁 Retrying ${url} in ${Math.round(delay)} ms (${status || lastError.code})`);
+        await sleep(delay);
+    }
+}
+
+function isCircuitOpen(host) {
+    const state = hostStates.get(host);
+    return Boolean(state && state.circuit === 'open' && Date.now() - state.openedAt < CIRCUIT_RESET_TIMEOUT);
+}
+
+// Google Custom Search daily quota (resets at midnight Pacific time)
+let googleQuota = null;
+
+function googleQuotaDay() {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Los_Angeles' }).format(new Date());
+}
+
+function getGoogleQuota() {
+    const day = googleQuotaDay();
+    if (!googleQuota) {
+        googleQuota = readJsonFile(GOOGLE_QUOTA_FILE, { day, used: 0 });
+    }
+    if (googleQuota.day !== day) {
+        googleQuota = { day, used: 0 };
+    }
+    return googleQuota;
+}
+
+function persistGoogleQuota() {
+    try {
+        writeJsonFile(GOOGLE_QUOTA_FILE, getGoogleQuota());
+    } catch (error) {
+        console.error('❌ Could not persist Google quota:', error.message);
+    }
+}
+
+function googleQuotaRemaining() {
+    return Math.max(0, GOOGLE_DAILY_QUOTA - getGoogleQuota().used);
+}
+
+// Stop while there's still a reserve left rather than hitting Google's hard limit
+function hasGoogleQuota() {
+    return googleQuotaRemaining() > GOOGLE_QUOTA_RESERVE;
+}
+
+function recordGoogleCall() {
+    metrics.googleCalls++;
+    getGoogleQuota().used++;
+    persistGoogleQuota();
+}
+
+function markGoogleQuotaExhausted() {
+    getGoogleQuota().used = GOOGLE_DAILY_QUOTA;
+    persistGoogleQuota();
+}
+
+module.exports = {
+    sleep,
+    httpGet,
+    googleQuotaRemaining,
+    hasGoogleQuota,
+    recordGoogleCall,
+    markGoogleQuotaExhausted
+};
@@ -0,0 +1,42 @@
+// OAuth installation store
+
+const fs = require('fs');
+const path = require('path');
+const { INSTALLATIONS_DIR } = require('./config');
+const { readJsonFile, writeJsonFile } = require('./storage');
+
+// Installation store for the OAuth flow: one JSON file per workspace (or Enterprise Grid org).
+// Anything implementing Bolt's storeInstallation/fetchInstallation/deleteInstallation can replace it.
+function installationKey({ isEnterpriseInstall, enterpriseId, teamId }) {
+    return isEnterpriseInstall && enterpriseId ? `enterprise-${enterpriseId}` : `team-${teamId}`;
+}
+
+function createFileInstallationStore(dir) {
+    const fileFor = query => path.join(dir, `${installationKey(query).replace(/[^\w-]/g, '')}.json`);
+    
+    return {
+        async storeInstallation(installation) {
+            writeJsonFile(fileFor({
+                isEnterpriseInstall: installation.isEnterpriseInstall,
+                enterpriseId: installation.enterprise?.id,
+                teamId: installation.team?.id
+            }), installation);
+        },
+        async fetchInstallation(query) {
+            const installation = readJsonFile(fileFor(query), null);
+            if (!installation) {
+                throw new Error(`No installation found for ${installationKey(query)}`);
+            }
+            return installation;
+        },
+        async deleteInstallation(query) {
+            fs.rmSync(fileFor(query), { force: true });
+        }
+    };
+}
+
+const installationStore = createFileInstallationStore(INSTALLATIONS_DIR);
+
+module.exports = {
+    installationStore
+};
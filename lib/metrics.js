@@ -0,0 +1,55 @@
+// Prometheus metrics for /metrics
+
+// Prometheus metrics, served from /metrics in the text exposition format
+const SEARCH_LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]; // Seconds
+const metrics = {
+    searchLatency: new Map(), // surface -> { buckets, sum, count }
+    scrapeFailures: 0,
+    googleCalls: 0
+};
+
+function observeSearchLatency(surface, seconds) {
+    if (!metrics.searchLatency.has(surface)) {
+        metrics.searchLatency.set(surface, { buckets: SEARCH_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+    }
+    const histogram = metrics.searchLatency.get(surface);
+    SEARCH_LATENCY_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+}
+
+// Gauges come from the caller so this module doesn't depend on the article store or HTTP client
+function formatMetrics({ cachedArticles, googleQuotaRemaining }) {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples);
+    };
+    
+    const latencySamples = [];
+    for (const [surface, histogram] of metrics.searchLatency.entries()) {
+        SEARCH_LATENCY_BUCKETS.forEach((bound, index) => {
+            latencySamples.push(`workline_search_duration_seconds_bucket{surface="${surface}",le="${bound}"} ${histogram.buckets[index]}`);
+        });
+        latencySamples.push(
+            `workline_search_duration_seconds_bucket{surface="${surface}",le="+Inf"} ${histogram.count}`,
+            `workline_search_duration_seconds_sum{surface="${surface}"} ${histogram.sum}`,
+            `workline_search_duration_seconds_count{surface="${surface}"} ${histogram.count}`
+        );
+    }
+    
+    metric('workline_search_duration_seconds', 'histogram', 'Time to answer a search, by Slack surface.', latencySamples);
+    metric('workline_cached_articles', 'gauge', 'Articles in the local cache and search index.', [`workline_cached_articles ${cachedArticles}`]);
+    metric('workline_scrape_failures_total', 'counter', 'Article pages that could not be fetched or parsed.', [`workline_scrape_failures_total ${metrics.scrapeFailures}`]);
+    metric('workline_google_api_calls_total', 'counter', 'Google Custom Search API calls since startup.', [`workline_google_api_calls_total ${metrics.googleCalls}`]);
+    metric('workline_google_quota_remaining', 'gauge', 'Google Custom Search calls left today.', [`workline_google_quota_remaining ${googleQuotaRemaining}`]);
+    
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    metrics,
+    observeSearchLatency,
+    formatMetrics
+};
@@ -0,0 +1,30 @@
+// Workspace admin checks
+
+const { OAUTH_ENABLED } = require('./config');
+
+// Admins are listed in WORKLINE_ADMIN_USERS, or are Slack workspace admins/owners
+const WORKLINE_ADMIN_USERS = (process.env.WORKLINE_ADMIN_USERS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+async function isWorkspaceAdmin(client, userId) {
+    if (WORKLINE_ADMIN_USERS.includes(userId)) {
+        return true;
+    }
+    try {
+        const { user } = await client.users.info({ user: userId });
+        return Boolean(user && (user.is_admin || user.is_owner));
+    } catch (error) {
+        console.error('❌ Could not look up user:', error.data?.error || error.message);
+        return false;
+    }
+}
+
+// /workline admin: cache and crawl control. The cache is shared by every installed workspace,
+// so with OAuth only the operators listed in WORKLINE_ADMIN_USERS may use it.
+async function canAdministerCache(client, userId) {
+    return OAUTH_ENABLED ? WORKLINE_ADMIN_USERS.includes(userId) : isWorkspaceAdmin(client, userId);
+}
+
+module.exports = {
+    isWorkspaceAdmin,
+    canAdministerCache
+};
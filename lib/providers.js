@@ -0,0 +1,386 @@
+// Search providers: local index, Google, Brave, Bing and the RSS feed
+
+const cheerio = require('cheerio');
+const {
+    BING_SEARCH_API_KEY, BRAVE_SEARCH_API_KEY, CRAWLER_USER_AGENT, GOOGLE_API_KEY, GOOGLE_CSE_ID,
+    WORKLINE_FEED_URL, WORKLINE_SITE
+} = require('./config');
+const { isArchiveArticleUrl } = require('./urls');
+const {
+    googleQuotaRemaining, hasGoogleQuota, httpGet, markGoogleQuotaExhausted, recordGoogleCall, sleep
+} = require('./http');
+const {
+    INDEX_FIELD_WEIGHTS, containsPhrase, hasSearchCriteria, matchesSearchFilters, parseSearchQuery,
+    queryIndex, tokenizeText
+} = require('./search-index');
+const { articleCache, articleTimestamp, findStoredArticle, storeArticle } = require('./article-store');
+const { findBestSection, scrapeArticle, sectionUrl } = require('./scraper');
+
+// Search providers
+// Every backend implements the same interface so searchWorklineArticles() can fan out to them:
+//   name, label, emoji   - identity and how results are labelled
+//   web                  - true for third-party web search (can be switched off per workspace)
+//   weight               - multiplier for its rank-fusion contribution
+//   timeoutMs            - how long a page may take before the provider is skipped
+//   firstStart           - paging cursor for the first page
+//   isConfigured()       - whether it can be used at all
+//   search(query, { parsed, start }) -> { results, nextStart } (nextStart null when exhausted)
+const DEFAULT_PROVIDER_TIMEOUT = 10000;
+
+// Race a provider against its timeout
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Prefer our stored copy of a web hit; scrape it if we've never seen it
+async function hydrateWebResult({ url, title, snippet }, source) {
+    let articleData = findStoredArticle(url);
+    
+    if (!articleData) {
+        // Scrape it fresh
+        articleData = await scrapeArticle(url);
+        if (articleData) {
+            storeArticle(articleData);
+        }
+    }
+    
+    return {
+        url: articleData?.url || url,
+        title: articleData?.title || title,
+        summary: articleData?.summary || snippet,
+        topics: articleData?.topics || [],
+        publishDate: articleData?.publishDate,
+        author: articleData?.author || null,
+        readingTimeMinutes: articleData?.readingTimeMinutes || null,
+        source
+    };
+}
+
+async function hydrateWebResults(items, source) {
+    const results = await Promise.all(
+        items.filter(item => item.url && isArchiveArticleUrl(item.url)).map(item => hydrateWebResult(item, source))
+    );
+    return results.filter(result => result !== null);
+}
+
+const GOOGLE_MAX_START = 91; // The API serves at most 100 results
+
+// Google Custom Search function
+// Returns one page of up to 10 results plus where the next page starts (null when done)
+async function searchWithGoogle(query, start = 1) {
+    if (!GOOGLE_API_KEY || !GOOGLE_CSE_ID) {
+        console.log('⚠️ Google Search not configured, using local cache only');
+        return { results: [], nextStart: null };
+    }
+    
+    if (!hasGoogleQuota()) {
+        console.log(`⚠️ Google quota nearly used up (${googleQuotaRemaining()} left today), skipping Google`);
+        return { results: [], nextStart: null };
+    }
+    
+    console.log(`🔍 Searching Google for: "${query}" (from #${start})`);
+    
+    const searchUrl = `https://www.googleapis.com/customsearch/v1?key=${GOOGLE_API_KEY}&cx=${GOOGLE_CSE_ID}&q=${encodeURIComponent(query)}&num=10&start=${start}`;
+    
+    let response;
+    try {
+        recordGoogleCall();
+        // A 429 from Custom Search means the daily quota is gone - retrying only burns more
+        response = await httpGet(searchUrl, { timeout: 10000 }, { retries: 1, retryStatuses: [500, 502, 503, 504] });
+    } catch (error) {
+        if (error.status === 429) {
+            console.error('❌ Google quota exhausted for today');
+            markGoogleQuotaExhausted();
+            return { results: [], nextStart: null };
+        }
+        throw error;
+    }
+    
+    if (!response.data.items) {
+        console.log('📭 No Google results found');
+        return { results: [], nextStart: null };
+    }
+    
+    console.log(`📊 Google found ${response.data.items.length} results`);
+    
+    const results = await hydrateWebResults(
+        response.data.items.map(item => ({ url: item.link, title: item.title, snippet: item.snippet })),
+        'google'
+    );
+    
+    // Custom Search can't page past result #100
+    const nextStart = response.data.queries?.nextPage?.[0]?.startIndex;
+    
+    return {
+        results,
+        nextStart: nextStart && nextStart <= GOOGLE_MAX_START ? nextStart : null
+    };
+}
+
+const googleSearchProvider = {
+    name: 'google',
+    label: 'Google Search',
+    emoji: '🌐',
+    web: true,
+    weight: 1,
+    timeoutMs: 30000, // Includes scraping hits we have never seen
+    firstStart: 1,
+    isConfigured: () => Boolean(GOOGLE_API_KEY && GOOGLE_CSE_ID),
+    search: (query, { start }) => searchWithGoogle(query, start)
+};
+
+// Brave Search API (offset counts pages of `count` results)
+const BRAVE_PAGE_SIZE = 20;
+const BRAVE_MAX_OFFSET = 9;
+
+const braveSearchProvider = {
+    name: 'brave',
+    label: 'Brave Search',
+    emoji: '🦁',
+    web: true,
+    weight: 1,
+    timeoutMs: 30000, // Includes scraping hits we have never seen
+    firstStart: 0,
+    isConfigured: () => Boolean(BRAVE_SEARCH_API_KEY),
+    async search(query, { start }) {
+        console.log(`🔍 Searching Brave for: "${query}" (page ${start + 1})`);
+        
+        const response = await httpGet('https://api.search.brave.com/res/v1/web/search', {
+            timeout: 10000,
+            params: { q: `site:${WORKLINE_SITE} ${query}`, count: BRAVE_PAGE_SIZE, offset: start },
+            headers: { 'Accept': 'application/json', 'X-Subscription-Token': BRAVE_SEARCH_API_KEY }
+        });
+        
+        const items = response.data.web?.results || [];
+        const results = await hydrateWebResults(
+            items.map(item => ({ url: item.url, title: item.title, snippet: item.description })),
+            'brave'
+        );
+        
+        return {
+            results,
+            nextStart: response.data.query?.more_results_available && start < BRAVE_MAX_OFFSET ? start + 1 : null
+        };
+    }
+};
+
+// Bing Web Search API (offset counts results)
+const BING_PAGE_SIZE = 10;
+
+const bingSearchProvider = {
+    name: 'bing',
+    label: 'Bing Search',
+    emoji: '🔎',
+    web: true,
+    weight: 1,
+    timeoutMs: 30000, // Includes scraping hits we have never seen
+    firstStart: 0,
+    isConfigured: () => Boolean(BING_SEARCH_API_KEY),
+    async search(query, { start }) {
+        console.log(`🔍 Searching Bing for: "${query}" (from #${start + 1})`);
+        
+        const response = await httpGet('https://api.bing.microsoft.com/v7.0/search', {
+            timeout: 10000,
+            params: { q: `site:${WORKLINE_SITE} ${query}`, count: BING_PAGE_SIZE, offset: start, responseFilter: 'Webpages' },
+            headers: { 'Ocp-Apim-Subscription-Key': BING_SEARCH_API_KEY }
+        });
+        
+        const pages = response.data.webPages || {};
+        const items = pages.value || [];
+        const results = await hydrateWebResults(
+            items.map(item => ({ url: item.url, title: item.name, snippet: item.snippet })),
+            'bing'
+        );
+        
+        const nextStart = start + items.length;
+        return {
+            results,
+            nextStart: items.length > 0 && nextStart < (pages.totalEstimatedMatches || 0) ? nextStart : null
+        };
+    }
+};
+
+// RSS feed: catches articles published since the last crawl, no API key needed
+const RSS_FEED_TTL = 15 * 60 * 1000; // 15 minutes
+let rssFeedCache = { fetchedAt: 0, items: [] };
+
+async function loadFeedItems() {
+    if (Date.now() - rssFeedCache.fetchedAt < RSS_FEED_TTL) {
+        return rssFeedCache.items;
+    }
+    
+    const response = await httpGet(WORKLINE_FEED_URL, {
+        timeout: 10000,
+        headers: { 'User-Agent': CRAWLER_USER_AGENT },
+        responseType: 'text'
+    });
+    
+    const $ = cheerio.load(String(response.data), { xmlMode: true });
+    const items = [];
+    $('item').each((i, el) => {
+        const item = $(el);
+        const url = item.children('link').text().trim();
+        const pubDate = new Date(item.children('pubDate').text().trim());
+        items.push({
+            url,
+            title: item.children('title').text().trim(),
+            // Descriptions are HTML; keep the text only
+            summary: cheerio.load(item.children('description').text()).text().replace(/\s+/g, ' ').trim().substring(0, 300),
+            topics: item.children('category').map((j, category) => $(category).text().trim().toLowerCase()).get(),
+            publishDate: isNaN(pubDate.getTime()) ? null : pubDate.toISOString()
+        });
+    });
+    
+    rssFeedCache = { fetchedAt: Date.now(), items };
+    return items;
+}
+
+const rssFeedProvider = {
+    name: 'rss',
+    label: 'RSS Feed',
+    emoji: '📡',
+    web: false,
+    weight: 0.5,
+    timeoutMs: 10000,
+    firstStart: 0,
+    isConfigured: () => Boolean(WORKLINE_FEED_URL),
+    async search(query, { parsed }) {
+        // Stopword- or exclusion-only queries would otherwise match the whole feed
+        if (!hasSearchCriteria(parsed)) {
+            return { results: [], nextStart: null };
+        }
+        
+        const items = await loadFeedItems();
+        const results = [];
+        
+        items.forEach(item => {
+            const article = findStoredArticle(item.url) || item;
+            const fieldTerms = {
+                title: new Set(tokenizeText(article.title)),
+                topics: new Set(tokenizeText((article.topics || []).join(' '))),
+                summary: new Set(tokenizeText(article.summary))
+            };
+            
+            let score = 0;
+            parsed.terms.forEach(term => {
+                Object.entries(fieldTerms).forEach(([field, terms]) => {
+                    if (terms.has(term)) score += INDEX_FIELD_WEIGHTS[field];
+                });
+            });
+            
+            if ((score > 0 || parsed.terms.length === 0) &&
+                parsed.phrases.every(phrase => containsPhrase(article, phrase)) &&
+                matchesSearchFilters(article, parsed)) {
+                results.push({ ...article, score, source: 'rss' });
+            }
+        });
+        
+        return {
+            results: results.sort((a, b) => b.score - a.score || articleTimestamp(b) - articleTimestamp(a)),
+            nextStart: null
+        };
+    }
+};
+
+// Local cache search function
+// Searches only what's already cached; the refresh scheduler keeps it current
+async function searchCachedArticles(query) {
+    const parsed = parseSearchQuery(query);
+    if (!hasSearchCriteria(parsed)) {
+        return [];
+    }
+    
+    return queryIndex(parsed, articleCache).map(({ url, score }) => {
+        const article = articleCache.get(url);
+        const matchedSection = findBestSection(article, parsed);
+        return {
+            ...article,
+            score,
+            source: 'cache',
+            matchedSection: matchedSection ? { heading: matchedSection.heading, url: sectionUrl(article.url, matchedSection) } : null
+        };
+    });
+}
+
+const localIndexProvider = {
+    name: 'cache',
+    label: 'Local Index',
+    emoji: '💾',
+    web: false,
+    weight: 1,
+    timeoutMs: DEFAULT_PROVIDER_TIMEOUT,
+    firstStart: 0,
+    isConfigured: () => true,
+    // The local index sees the full query syntax, not just the web-safe text
+    search: async (query, { rawQuery }) => ({ results: await searchCachedArticles(rawQuery), nextStart: null })
+};
+
+// Canned results for tests and offline demos
+function createFakeProvider({ name = 'fake', label = 'Fake Search', results = [], pageSize = 10, delayMs = 0, error = null, weight = 1, timeoutMs = DEFAULT_PROVIDER_TIMEOUT } = {}) {
+    return {
+        name,
+        label,
+        emoji: '🧪',
+        web: false,
+        weight,
+        timeoutMs,
+        firstStart: 0,
+        isConfigured: () => true,
+        async search(query, { start }) {
+            if (delayMs) await sleep(delayMs);
+            if (error) throw error;
+            
+            const page = results.slice(start, start + pageSize).map(result => ({ ...result, source: name }));
+            return { results: page, nextStart: start + pageSize < results.length ? start + pageSize : null };
+        }
+    };
+}
+
+const AVAILABLE_SEARCH_PROVIDERS = [googleSearchProvider, braveSearchProvider, bingSearchProvider, rssFeedProvider, localIndexProvider];
+
+// SEARCH_PROVIDERS=google,rss,cache picks and orders providers;
+// SEARCH_PROVIDER_WEIGHTS=google:1,cache:1.5 and SEARCH_PROVIDER_TIMEOUTS=google:5000 tune them
+function parseProviderSettings(text) {
+    const settings = {};
+    (text || '').split(',').forEach(entry => {
+        const [name, value] = entry.split(':').map(part => part.trim());
+        if (name && value && !isNaN(Number(value))) settings[name] = Number(value);
+    });
+    return settings;
+}
+
+function createSearchProviders() {
+    const enabled = (process.env.SEARCH_PROVIDERS || AVAILABLE_SEARCH_PROVIDERS.map(provider => provider.name).join(','))
+        .split(',').map(name => name.trim()).filter(Boolean);
+    const weights = parseProviderSettings(process.env.SEARCH_PROVIDER_WEIGHTS);
+    const timeouts = parseProviderSettings(process.env.SEARCH_PROVIDER_TIMEOUTS);
+    
+    return enabled
+        .map(name => AVAILABLE_SEARCH_PROVIDERS.find(provider => provider.name === name))
+        .filter(provider => provider && provider.isConfigured())
+        .map(provider => ({
+            ...provider,
+            weight: weights[provider.name] ?? provider.weight,
+            timeoutMs: timeouts[provider.name] ?? provider.timeoutMs
+        }));
+}
+
+const searchProviders = createSearchProviders();
+
+function findProvider(name) {
+    return searchProviders.find(provider => provider.name === name) ||
+           AVAILABLE_SEARCH_PROVIDERS.find(provider => provider.name === name);
+}
+
+module.exports = {
+    DEFAULT_PROVIDER_TIMEOUT,
+    withTimeout,
+    searchCachedArticles,
+    searchProviders,
+    findProvider,
+    createFakeProvider
+};
@@ -0,0 +1,55 @@
+// Search rate limits
+
+// Sliding-window search limits, per user and per workspace: every search can mean live scrapes and a Google call
+const RATE_LIMIT_WINDOW = 60 * 1000;
+const USER_SEARCHES_PER_MINUTE = parseInt(process.env.USER_SEARCHES_PER_MINUTE || '10', 10);
+const TEAM_SEARCHES_PER_MINUTE = parseInt(process.env.TEAM_SEARCHES_PER_MINUTE || '60', 10);
+const rateLimitWindows = new Map(); // "user:U123" / "team:T123" -> recent search times
+
+// Counts the search and returns null, or says which limit was hit and when to retry
+function checkSearchRateLimit(userId, teamId) {
+    const now = Date.now();
+    if (rateLimitWindows.size > RATE_LIMIT_MAX_KEYS) {
+        pruneRateLimitWindows();
+    }
+    const limits = [
+        [userId && `user:${userId}`, USER_SEARCHES_PER_MINUTE],
+        [teamId && `team:${teamId}`, TEAM_SEARCHES_PER_MINUTE]
+    ].filter(([key]) => key);
+    
+    for (const [key, limit] of limits) {
+        const recent = (rateLimitWindows.get(key) || []).filter(time => time > now - RATE_LIMIT_WINDOW);
+        rateLimitWindows.set(key, recent);
+        if (recent.length >= limit) {
+            return { scope: key.split(':')[0], retryAfterMs: recent[0] + RATE_LIMIT_WINDOW - now };
+        }
+    }
+    
+    limits.forEach(([key]) => rateLimitWindows.get(key).push(now));
+    return null;
+}
+
+function rateLimitMessage(limited) {
+    const seconds = Math.max(1, Math.ceil(limited.retryAfterMs / 1000));
+    return limited.scope === 'user'
+        ? `🐢 Whoa, that's a lot of searches! Give me ${seconds}s to catch up and try again.`
+        : `🐢 Your workspace is searching a lot right now. Please try again in ${seconds}s.`;
+}
+
+// Drop windows nobody has searched in lately so the map doesn't grow forever
+const RATE_LIMIT_MAX_KEYS = 1000;
+
+function pruneRateLimitWindows() {
+    const cutoff = Date.now() - RATE_LIMIT_WINDOW;
+    for (const [key, times] of rateLimitWindows.entries()) {
+        if (times.length === 0 || times[times.length - 1] < cutoff) {
+            rateLimitWindows.delete(key);
+        }
+    }
+}
+
+module.exports = {
+    USER_SEARCHES_PER_MINUTE,
+    checkSearchRateLimit,
+    rateLimitMessage
+};
@@ -0,0 +1,170 @@
+// Related articles
+
+const { canonicalizeUrl, isArchiveArticleUrl } = require('./urls');
+const { searchIndex } = require('./search-index');
+const { articleCache, findStoredArticle } = require('./article-store');
+const { getArticleForAction } = require('./scraper');
+const { sanitizeSlackText, unwrapSlackLink } = require('./format');
+
+// "More like this": TF-IDF cosine similarity over the index plus shared topics
+const RELATED_COUNT = 5;
+const RELATED_VECTOR_TERMS = 100; // Strongest terms of the source article that drive the comparison
+const RELATED_TEXT_WEIGHT = 0.7;
+const RELATED_TOPIC_WEIGHT = 0.3;
+let vectorNormCache = { version: -1, norms: new Map() };
+
+function inverseDocumentFrequency(term) {
+    const postings = searchIndex.postings.get(term);
+    if (!postings) return 0;
+    return Math.log(1 + searchIndex.docs.size / postings.size);
+}
+
+function termVector(url) {
+    const doc = searchIndex.docs.get(url);
+    if (!doc) return new Map();
+    
+    const vector = new Map();
+    doc.terms.forEach(term => {
+        vector.set(term, searchIndex.postings.get(term).get(url) * inverseDocumentFrequency(term));
+    });
+    return vector;
+}
+
+function vectorNorm(url) {
+    if (vectorNormCache.version !== searchIndex.version) {
+        vectorNormCache = { version: searchIndex.version, norms: new Map() };
+    }
+    if (!vectorNormCache.norms.has(url)) {
+        let sum = 0;
+        termVector(url).forEach(weight => { sum += weight * weight; });
+        vectorNormCache.norms.set(url, Math.sqrt(sum));
+    }
+    return vectorNormCache.norms.get(url);
+}
+
+function topicSimilarity(a, b) {
+    const topicsA = new Set((a.topics || []).map(topic => topic.toLowerCase()));
+    const topicsB = new Set((b.topics || []).map(topic => topic.toLowerCase()));
+    const shared = Array.from(topicsA).filter(topic => topicsB.has(topic));
+    const union = new Set([...topicsA, ...topicsB]).size;
+    return { score: union ? shared.length / union : 0, shared };
+}
+
+// Articles most similar to the one at `url`, computed entirely from the local store
+function findRelatedArticles(url, count = RELATED_COUNT) {
+    const source = findStoredArticle(url);
+    if (!source || !searchIndex.docs.has(source.url)) return [];
+    
+    const sourceVector = Array.from(termVector(source.url).entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, RELATED_VECTOR_TERMS);
+    const sourceNorm = Math.sqrt(sourceVector.reduce((sum, [, weight]) => sum + weight * weight, 0)) || 1;
+    
+    // Dot products through the postings of the source's strongest terms
+    const dotProducts = new Map();
+    sourceVector.forEach(([term, weight]) => {
+        const idf = inverseDocumentFrequency(term);
+        searchIndex.postings.get(term).forEach((frequency, otherUrl) => {
+            if (otherUrl === source.url) return;
+            dotProducts.set(otherUrl, (dotProducts.get(otherUrl) || 0) + weight * frequency * idf);
+        });
+    });
+    
+    // Articles that only share topics still count
+    articleCache.forEach((article, otherUrl) => {
+        if (otherUrl !== source.url && !dotProducts.has(otherUrl) && topicSimilarity(source, article).score > 0) {
+            dotProducts.set(otherUrl, 0);
+        }
+    });
+    
+    const sourceKey = canonicalizeUrl(source.url);
+    const related = [];
+    dotProducts.forEach((dot, otherUrl) => {
+        const article = articleCache.get(otherUrl);
+        if (!article || canonicalizeUrl(otherUrl) === sourceKey) return;
+        
+        const cosine = dot / (sourceNorm * (vectorNorm(otherUrl) || 1));
+        const topics = topicSimilarity(source, article);
+        related.push({
+            ...article,
+            score: RELATED_TEXT_WEIGHT * cosine + RELATED_TOPIC_WEIGHT * topics.score,
+            sharedTopics: topics.shared
+        });
+    });
+    
+    return related
+        .filter(article => article.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, count);
+}
+
+function formatRelatedArticles(source, related) {
+    if (related.length === 0) {
+        return { text: `🤷 I couldn't find anything similar to *${sanitizeSlackText(source.title)}* yet.` };
+    }
+    
+    const blocks = [
+        {
+            type: "section",
+            text: { type: "mrkdwn", text: `📚 *More like <${source.url}|${sanitizeSlackText(source.title)}>*` }
+        },
+        { type: "divider" }
+    ];
+    
+    related.forEach((article, index) => {
+        blocks.push({
+            type: "section",
+            text: {
+                type: "mrkdwn",
+                text: `*<${article.url}|${sanitizeSlackText(article.title)}>*${article.summary ? `\n${sanitizeSlackText(article.summary)}` : ''}`
+            },
+            accessory: {
+                type: "button",
+                text: { type: "plain_text", text: "📖 Read" },
+                url: article.url,
+                action_id: `read_related_${index}`
+            }
+        });
+        
+        const metadata = [`🎯 ${Math.round(article.score * 100)}% similar`];
+        if (article.sharedTopics.length > 0) {
+            metadata.push(`🏷️ ${sanitizeSlackText(article.sharedTopics.slice(0, 3).join(', '))}`);
+        }
+        blocks.push({
+            type: "context",
+            elements: [{ type: "mrkdwn", text: metadata.join(' • ') }]
+        });
+    });
+    
+    return { blocks };
+}
+
+// Looks the article up (scraping it if needed) and formats its related articles
+async function relatedArticlesMessage(url) {
+    if (!isArchiveArticleUrl(url)) {
+        return { text: "🤷 I can only find articles related to a Workline article." };
+    }
+    
+    const article = await getArticleForAction(url);
+    if (!findStoredArticle(article.url)) {
+        return { text: `🤷 I couldn't load <${url}> to compare it with other articles.` };
+    }
+    return formatRelatedArticles(article, findRelatedArticles(article.url));
+}
+
+// /workline related <url>
+async function handleRelatedCommand({ args, respond }) {
+    const url = unwrapSlackLink(args.join(' '));
+    
+    if (!isArchiveArticleUrl(url)) {
+        await respond({ text: "*Usage:* `/workline related <Workline article URL>`" });
+        return;
+    }
+    
+    await respond(await relatedArticlesMessage(url));
+}
+
+module.exports = {
+    relatedArticlesMessage,
+    handleRelatedCommand
+};
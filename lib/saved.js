@@ -0,0 +1,142 @@
+// Saved articles
+
+const { SAVED_ARTICLES_FILE } = require('./config');
+const { sanitizeSlackText } = require('./format');
+const { readJsonFile, writeJsonFile } = require('./storage');
+const { canonicalizeUrl } = require('./urls');
+
+// Saved-for-later reading lists, keyed by Slack user ID
+let savedArticles = null;
+
+function getSavedArticlesStore() {
+    if (!savedArticles) {
+        savedArticles = readJsonFile(SAVED_ARTICLES_FILE, {});
+    }
+    return savedArticles;
+}
+
+function persistSavedArticles() {
+    try {
+        writeJsonFile(SAVED_ARTICLES_FILE, getSavedArticlesStore());
+    } catch (error) {
+        console.error('❌ Could not persist saved articles:', error.message);
+    }
+}
+
+function getSavedArticles(userId) {
+    return getSavedArticlesStore()[userId] || [];
+}
+
+// Returns false if the article was already on the list
+function saveArticleForUser(userId, article) {
+    const store = getSavedArticlesStore();
+    const list = store[userId] || [];
+    const key = canonicalizeUrl(article.url);
+    
+    if (list.some(saved => canonicalizeUrl(saved.url) === key)) {
+        return false;
+    }
+    
+    list.unshift({
+        url: article.url,
+        title: article.title,
+        summary: article.summary,
+        savedAt: new Date().toISOString()
+    });
+    store[userId] = list;
+    persistSavedArticles();
+    return true;
+}
+
+function removeSavedArticle(userId, url) {
+    const store = getSavedArticlesStore();
+    const key = canonicalizeUrl(url);
+    store[userId] = (store[userId] || []).filter(saved => canonicalizeUrl(saved.url) !== key);
+    persistSavedArticles();
+}
+
+function clearSavedArticles(userId) {
+    delete getSavedArticlesStore()[userId];
+    persistSavedArticles();
+}
+
+function formatSavedArticles(userId) {
+    const saved = getSavedArticles(userId);
+    
+    if (saved.length === 0) {
+        return {
+            text: "🔖 Your reading list is empty. Use *Save for later* on any search result to add to it."
+        };
+    }
+    
+    const blocks = [
+        {
+            type: "section",
+            text: {
+                type: "mrkdwn",
+                text: `🔖 *Your reading list* (${saved.length} article${saved.length !== 1 ? 's' : ''})`
+            }
+        },
+        { type: "divider" }
+    ];
+    
+    // Stay well inside Slack's 50-block limit
+    saved.slice(0, 40).forEach(article => {
+        blocks.push({
+            type: "section",
+            text: {
+                type: "mrkdwn",
+                text: `*<${article.url}|${sanitizeSlackText(article.title)}>*\n_Saved ${new Date(article.savedAt).toLocaleDateString()}_`
+            },
+            accessory: {
+                type: "button",
+                text: { type: "plain_text", text: "Remove" },
+                action_id: "unsave_article",
+                value: article.url
+            }
+        });
+    });
+    
+    blocks.push(
+        { type: "divider" },
+        {
+            type: "actions",
+            elements: [
+                {
+                    type: "button",
+                    text: { type: "plain_text", text: "🗑️ Clear all" },
+                    style: "danger",
+                    action_id: "clear_saved",
+                    confirm: {
+                        title: { type: "plain_text", text: "Clear reading list?" },
+                        text: { type: "plain_text", text: "This removes every saved article." },
+                        confirm: { type: "plain_text", text: "Clear" },
+                        deny: { type: "plain_text", text: "Cancel" }
+                    }
+                }
+            ]
+        }
+    );
+    
+    return { blocks };
+}
+
+// /workline saved [clear]
+async function handleSavedCommand({ command, args, respond }) {
+    if (args[0] && args[0].toLowerCase() === 'clear') {
+        clearSavedArticles(command.user_id);
+        await respond({ text: "🗑️ Your reading list has been cleared." });
+        return;
+    }
+    
+    await respond(formatSavedArticles(command.user_id));
+}
+
+module.exports = {
+    getSavedArticles,
+    saveArticleForUser,
+    removeSavedArticle,
+    clearSavedArticles,
+    formatSavedArticles,
+    handleSavedCommand
+};
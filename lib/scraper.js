@@ -0,0 +1,318 @@
+// Article scraping
+
+const cheerio = require('cheerio');
+const { CRAWLER_USER_AGENT } = require('./config');
+const { metrics } = require('./metrics');
+const { isArchiveArticleUrl, normalizeArticleUrl, resolveCrawlUrl } = require('./urls');
+const { httpGet } = require('./http');
+const { normalizeSearchText, tokenizeText } = require('./search-index');
+const { findStoredArticle, storeArticle } = require('./article-store');
+
+const RECENT_FAILURES_LIMIT = 20;
+const recentScrapeFailures = []; // { url, error, at }, newest last
+
+// Structured data helpers for the scraper
+const READING_WORDS_PER_MINUTE = 230;
+const JSON_LD_ARTICLE_TYPES = ['Article', 'BlogPosting', 'NewsArticle', 'TechArticle', 'Report'];
+
+// The Article object from the page's JSON-LD, if it has one
+function extractJsonLdArticle($) {
+    let article = null;
+    
+    $('script[type="application/ld+json"]').each((i, el) => {
+        if (article) return;
+        try {
+            const data = JSON.parse($(el).contents().text());
+            const candidates = [].concat(data, ...[].concat(data).map(item => item && item['@graph'] || []));
+            article = candidates.find(item => item && [].concat(item['@type']).some(type => JSON_LD_ARTICLE_TYPES.includes(type))) || null;
+        } catch (e) {
+            // Malformed JSON-LD is common; fall back to meta tags
+        }
+    });
+    
+    return article;
+}
+
+function jsonLdNames(value) {
+    return [].concat(value || [])
+        .map(item => typeof item === 'string' ? item : item && item.name)
+        .filter(Boolean)
+        .map(name => name.trim());
+}
+
+// Any recognisable date -> ISO 8601, or null
+function normalizeDate(value) {
+    if (!value) return null;
+    const text = String(value).trim().replace(/^(published|posted|updated)( on)?:?\s*/i, '');
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function slugifyHeading(text) {
+    return normalizeSearchText(text).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Outline of the article: the intro plus every H2/H3 with the paragraphs under it
+function extractSections($, root) {
+    const sections = [{ id: null, anchor: null, heading: null, level: 0, paragraphs: [] }];
+    const usedIds = new Set();
+    
+    root.find('h2, h3, p, li, blockquote').each((i, el) => {
+        const tag = el.tagName.toLowerCase();
+        const text = $(el).text().replace(/\s+/g, ' ').trim();
+        if (!text) return;
+        
+        if (tag === 'h2' || tag === 'h3') {
+            // Only real ids make working #anchors; otherwise we link with a text fragment
+            const anchor = $(el).attr('id') || null;
+            let id = anchor || slugifyHeading(text) || `section-${sections.length}`;
+            while (usedIds.has(id)) id += '-';
+            usedIds.add(id);
+            sections.push({ id, anchor, heading: text, level: tag === 'h2' ? 2 : 3, paragraphs: [] });
+            return;
+        }
+        
+        // Skip paragraphs nested inside list items/quotes we already took
+        if ($(el).parents('li, blockquote').length > 0) return;
+        sections[sections.length - 1].paragraphs.push(text);
+    });
+    
+    return sections.filter(section => section.heading || section.paragraphs.length > 0);
+}
+
+// Link straight to a section: its #id when the page has one, a text fragment otherwise
+function sectionUrl(articleUrl, section) {
+    if (!section || !section.heading) return articleUrl;
+    const base = articleUrl.split('#')[0];
+    return section.anchor
+        ? `${base}#${encodeURIComponent(section.anchor)}`
+        : `${base}#:~:text=${encodeURIComponent(section.heading)}`;
+}
+
+// The section that best matches a parsed query (heading matches count double)
+function findBestSection(article, parsed) {
+    if (!article.sections || article.sections.length === 0 || parsed.terms.length === 0) {
+        return null;
+    }
+    
+    let best = null;
+    let bestScore = 0;
+    article.sections.forEach(section => {
+        if (!section.heading) return;
+        const headingTerms = new Set(tokenizeText(section.heading));
+        const textTerms = tokenizeText(section.paragraphs.join(' '));
+        
+        let score = 0;
+        parsed.terms.forEach(term => {
+            if (headingTerms.has(term)) score += 2;
+            score += Math.min(textTerms.filter(textTerm => textTerm === term).length, 3) / 3;
+        });
+        
+        if (score > bestScore) {
+            best = section;
+            bestScore = score;
+        }
+    });
+    
+    return best;
+}
+
+// Enhanced article scraper
+// Pass the previously stored copy to make a conditional request (ETag/Last-Modified)
+// Returns null if the page couldn't be fetched
+async function scrapeArticle(url, previous = null) {
+    try {
+        console.log(`📄 Scraping: ${url}`);
+        
+        const headers = { 
+            'User-Agent': CRAWLER_USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+        };
+        if (previous?.etag) {
+            headers['If-None-Match'] = previous.etag;
+        }
+        if (previous?.lastModified) {
+            headers['If-Modified-Since'] = previous.lastModified;
+        }
+        
+        const response = await httpGet(url, {
+            timeout: 15000,
+            headers,
+            validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+        
+        // Page unchanged since we last scraped it
+        if (response.status === 304 && previous) {
+            console.log(`♻️ Unchanged: ${previous.title}`);
+            return { ...previous, checkedAt: new Date().toISOString() };
+        }
+        
+        const $ = cheerio.load(response.data);
+        const jsonLd = extractJsonLdArticle($) || {};
+        const meta = name => $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+        
+        // Enhanced title extraction
+        const title = $('h1').first().text().trim() || 
+                     jsonLd.headline ||
+                     meta('og:title') ||
+                     $('title').text().replace(' | FlexOS', '').replace(' | The Workline', '').trim() ||
+                     $('[class*="title"]').first().text().trim();
+        
+        // Enhanced summary extraction
+        let summary = meta('description') ||
+                     meta('og:description') ||
+                     jsonLd.description ||
+                     $('.excerpt, .summary, .intro').first().text().trim();
+        
+        // If no meta description, extract from content
+        if (!summary || summary.length < 50) {
+            const contentSelectors = [
+                'article p:first-of-type',
+                '.content p:first-of-type', 
+                '.post-content p:first-of-type',
+                '.entry-content p:first-of-type',
+                'main p:first-of-type',
+                'p'
+            ];
+            
+            for (const selector of contentSelectors) {
+                const firstPara = $(selector).first().text().trim();
+                if (firstPara && firstPara.length > 30) {
+                    summary = firstPara.substring(0, 250);
+                    break;
+                }
+            }
+        }
+        
+        // Extract main content for searching
+        let contentRoot = null;
+        const contentSelectors = [
+            'article',
+            '.content, .post-content, .entry-content',
+            'main',
+            '.post, .article'
+        ];
+        
+        for (const selector of contentSelectors) {
+            const element = $(selector);
+            if (element.length > 0) {
+                contentRoot = element.first();
+                break;
+            }
+        }
+        
+        let content = contentRoot ? contentRoot.text().trim() : '';
+        
+        // Fallback to body if no specific content found
+        if (!content || content.length < 100) {
+            contentRoot = $('body');
+            content = contentRoot.text().trim();
+        }
+        
+        // Clean up content (the full body is kept for the search index)
+        const body = content.replace(/\s+/g, ' ').trim();
+        content = body.substring(0, 3000);
+        
+        // Headings and the text under them
+        const sections = extractSections($, contentRoot);
+        
+        // Reading time from the article's own words
+        const wordCount = body ? body.split(' ').length : 0;
+        const readingTimeMinutes = Math.max(1, Math.round(wordCount / READING_WORDS_PER_MINUTE));
+        
+        // Extract topics/tags (structured data first, then tag links)
+        const topics = [];
+        const addTopic = value => {
+            const tag = (value || '').trim().toLowerCase().replace(/^#/, '');
+            if (tag && tag.length > 2 && tag.length < 50 && !topics.includes(tag)) {
+                topics.push(tag);
+            }
+        };
+        const keywords = jsonLd.keywords;
+        (Array.isArray(keywords) ? keywords : String(keywords || '').split(',')).forEach(addTopic);
+        $('meta[property="article:tag"]').each((i, el) => addTopic($(el).attr('content')));
+        $('a[rel="tag"], .tags a, .post-tags a, .tag-list a, .post-tag, .hashtag').each((i, el) => addTopic($(el).text()));
+        
+        // Extract links to other Workline articles (followed by the crawler)
+        const links = [];
+        $('a[href]').each((i, el) => {
+            const href = resolveCrawlUrl($(el).attr('href'), url);
+            if (href && isArchiveArticleUrl(href)) {
+                const link = normalizeArticleUrl(href);
+                if (link !== url && !links.includes(link)) {
+                    links.push(link);
+                }
+            }
+        });
+        
+        // Extract author
+        const author = jsonLdNames(jsonLd.author)[0] ||
+                       meta('author') ||
+                       meta('article:author') ||
+                       $('[rel="author"], .author-name, .byline .author, .author').first().text().replace(/\s+/g, ' ').trim() ||
+                       null;
+        
+        // Extract publish date (always ISO 8601, or null if the page doesn't say)
+        const publishDate = normalizeDate(jsonLd.datePublished) ||
+                           normalizeDate(meta('article:published_time')) ||
+                           normalizeDate($('time[datetime]').attr('datetime')) ||
+                           normalizeDate($('.date, .published, .post-date').first().text());
+        const modifiedDate = normalizeDate(jsonLd.dateModified) || normalizeDate(meta('article:modified_time'));
+        
+        const result = {
+            url,
+            title: title.substring(0, 150),
+            summary: summary ? summary.substring(0, 300) + (summary.length > 300 ? '...' : '') : '',
+            content,
+            body,
+            sections,
+            topics: topics.slice(0, 8),
+            author: author && author.length < 100 ? author : null,
+            publishDate,
+            modifiedDate,
+            wordCount,
+            readingTimeMinutes,
+            links,
+            etag: response.headers['etag'] || null,
+            lastModified: response.headers['last-modified'] || null,
+            scrapedAt: new Date().toISOString(),
+            checkedAt: new Date().toISOString()
+        };
+        
+        console.log(`✅ Scraped: ${result.title}`);
+        return result;
+        
+    } catch (error) {
+        // Callers fall back to what they already have (stored copy, search snippet)
+        console.error(`❌ Error scraping ${url}:`, error.message);
+        metrics.scrapeFailures++;
+        recentScrapeFailures.push({ url, error: error.message, at: new Date().toISOString() });
+        recentScrapeFailures.splice(0, recentScrapeFailures.length - RECENT_FAILURES_LIMIT);
+        return null;
+    }
+}
+
+// Stored copy if we have one, otherwise scrape it - but only archive pages are ever fetched or stored
+async function getArticleForAction(url) {
+    const stored = findStoredArticle(url);
+    if (stored) return stored;
+    
+    if (!isArchiveArticleUrl(url)) {
+        return { url, title: url, summary: '', topics: [] };
+    }
+    
+    const article = await scrapeArticle(url);
+    if (article) {
+        storeArticle(article);
+        return article;
+    }
+    return { url, title: url, summary: '', topics: [] };
+}
+
+module.exports = {
+    recentScrapeFailures,
+    sectionUrl,
+    findBestSection,
+    scrapeArticle,
+    getArticleForAction
+};
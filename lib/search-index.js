@@ -0,0 +1,441 @@
+// Full-text search index and query parsing
+
+// Inverted index of stemmed terms -> { url -> field-weighted term frequency }
+const searchIndex = {
+    docs: new Map(),      // url -> { length, terms }
+    postings: new Map(),  // term -> Map(url -> weighted tf)
+    totalLength: 0,
+    version: 0            // Bumped on every change so derived data (vector norms) can be cached
+};
+
+// Where a term appears matters more than how often (mirrors the old title/summary/topic scoring)
+const INDEX_FIELD_WEIGHTS = { title: 5, topics: 3, summary: 2, body: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FUZZY_MATCH_WEIGHT = 0.6;
+const PHRASE_MATCH_BONUS = 2;
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+    'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+    'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if',
+    'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself', 'no', 'nor',
+    'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out',
+    'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs',
+    'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+    'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+    'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+// Porter stemmer (so "managing", "managed" and "management" meet in the index)
+const STEM_STEP2_SUFFIXES = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+    entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+    iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEM_STEP3_SUFFIXES = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+const STEM_C = '[^aeiou]';
+const STEM_V = '[aeiouy]';
+const STEM_CS = STEM_C + '[^aeiouy]*';
+const STEM_VS = STEM_V + '[aeiou]*';
+const STEM_MGR0 = new RegExp(`^(${STEM_CS})?${STEM_VS}${STEM_CS}`);
+const STEM_MEQ1 = new RegExp(`^(${STEM_CS})?${STEM_VS}${STEM_CS}(${STEM_VS})?$`);
+const STEM_MGR1 = new RegExp(`^(${STEM_CS})?${STEM_VS}${STEM_CS}${STEM_VS}${STEM_CS}`);
+const STEM_HAS_VOWEL = new RegExp(`^(${STEM_CS})?${STEM_V}`);
+const STEM_CVC = new RegExp(`^${STEM_CS}${STEM_V}[^aeiouwxy]$`);
+
+function stemWord(word) {
+    if (word.length < 3 || /\d/.test(word)) {
+        return word;
+    }
+    
+    let w = word;
+    let match;
+    const startsWithY = w[0] === 'y';
+    if (startsWithY) {
+        w = 'Y' + w.slice(1);
+    }
+    
+    // Step 1a: plurals
+    if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+        w = match[1] + match[2];
+    } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+        w = match[1] + match[2];
+    }
+    
+    // Step 1b: -ed / -ing
+    if ((match = /^(.+?)eed$/.exec(w))) {
+        if (STEM_MGR0.test(match[1])) {
+            w = w.slice(0, -1);
+        }
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+        if (STEM_HAS_VOWEL.test(match[1])) {
+            w = match[1];
+            if (/(at|bl|iz)$/.test(w)) {
+                w += 'e';
+            } else if (/([^aeiouylsz])\1$/.test(w)) {
+                w = w.slice(0, -1);
+            } else if (STEM_CVC.test(w)) {
+                w += 'e';
+            }
+        }
+    }
+    
+    // Step 1c: y -> i
+    if ((match = /^(.+?)y$/.exec(w)) && STEM_HAS_VOWEL.test(match[1])) {
+        w = match[1] + 'i';
+    }
+    
+    // Steps 2-3: map double suffixes to single ones
+    if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w)) &&
+        STEM_MGR0.test(match[1])) {
+        w = match[1] + STEM_STEP2_SUFFIXES[match[2]];
+    }
+    if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && STEM_MGR0.test(match[1])) {
+        w = match[1] + STEM_STEP3_SUFFIXES[match[2]];
+    }
+    
+    // Step 4: drop remaining suffixes
+    if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+        if (STEM_MGR1.test(match[1])) {
+            w = match[1];
+        }
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+        if (STEM_MGR1.test(match[1] + match[2])) {
+            w = match[1] + match[2];
+        }
+    }
+    
+    // Step 5: tidy up trailing -e and -ll
+    if ((match = /^(.+?)e$/.exec(w))) {
+        const stem = match[1];
+        if (STEM_MGR1.test(stem) || (STEM_MEQ1.test(stem) && !STEM_CVC.test(stem))) {
+            w = stem;
+        }
+    }
+    if (/ll$/.test(w) && STEM_MGR1.test(w)) {
+        w = w.slice(0, -1);
+    }
+    
+    return startsWithY ? 'y' + w.slice(1) : w;
+}
+
+// Lowercase, strip accents and split into words
+function normalizeSearchText(text) {
+    return (text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function splitWords(text) {
+    return normalizeSearchText(text).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function tokenizeText(text) {
+    return splitWords(text)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(stemWord);
+}
+
+// Edit distance (counting swapped letters as one edit) that gives up once it exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return maxDistance + 1;
+    }
+    
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) {
+            return maxDistance + 1;
+        }
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// The full article text used for searching (older stored articles only have `content`)
+function getArticleBody(article) {
+    return article.body || article.content || '';
+}
+
+function indexArticle(article) {
+    unindexArticle(article.url);
+    
+    const fields = {
+        title: article.title,
+        topics: (article.topics || []).join(' '),
+        summary: article.summary,
+        body: getArticleBody(article)
+    };
+    
+    const termFrequencies = new Map();
+    let length = 0;
+    
+    Object.entries(fields).forEach(([field, text]) => {
+        const weight = INDEX_FIELD_WEIGHTS[field];
+        const tokens = tokenizeText(text);
+        tokens.forEach(token => {
+            termFrequencies.set(token, (termFrequencies.get(token) || 0) + weight);
+        });
+        length += tokens.length * weight;
+    });
+    
+    termFrequencies.forEach((frequency, term) => {
+        if (!searchIndex.postings.has(term)) {
+            searchIndex.postings.set(term, new Map());
+        }
+        searchIndex.postings.get(term).set(article.url, frequency);
+    });
+    
+    searchIndex.docs.set(article.url, { length, terms: Array.from(termFrequencies.keys()) });
+    searchIndex.totalLength += length;
+    searchIndex.version++;
+}
+
+function unindexArticle(url) {
+    const doc = searchIndex.docs.get(url);
+    if (!doc) return;
+    
+    doc.terms.forEach(term => {
+        const postings = searchIndex.postings.get(term);
+        if (postings) {
+            postings.delete(url);
+            if (postings.size === 0) {
+                searchIndex.postings.delete(term);
+            }
+        }
+    });
+    
+    searchIndex.docs.delete(url);
+    searchIndex.totalLength -= doc.length;
+    searchIndex.version++;
+}
+
+// Accepts 2024, 2024-03 or 2024-03-15
+function parseQueryDate(value) {
+    const match = /^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/.exec(value);
+    if (!match) return null;
+    return new Date(Date.UTC(Number(match[1]), match[2] ? Number(match[2]) - 1 : 0, match[3] ? Number(match[3]) : 1));
+}
+
+// Parse a search query:
+//   "exact phrase"   -exclude   -"excluded phrase"   topic:hybrid   before:2024-01   after:2023
+function parseSearchQuery(query) {
+    const parsed = {
+        text: [],
+        phrases: [],
+        excludedTerms: [],
+        excludedPhrases: [],
+        topics: [],
+        before: null,
+        after: null
+    };
+    
+    const tokenPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+    
+    while ((match = tokenPattern.exec(query || '')) !== null) {
+        const negated = match[1] === '-';
+        const field = match[2] ? match[2].toLowerCase() : null;
+        const quoted = match[3] !== undefined;
+        let value = quoted ? match[3] : match[4];
+        
+        if (field === 'topic' && value) {
+            parsed.topics.push(value.toLowerCase());
+            continue;
+        }
+        if ((field === 'before' || field === 'after') && parseQueryDate(value)) {
+            parsed[field] = parseQueryDate(value);
+            continue;
+        }
+        if (field) {
+            // Not one of our filters (e.g. a URL) - treat it as plain text
+            value = `${match[2]}:${value}`;
+        }
+        
+        if (quoted) {
+            if (splitWords(value).length === 0) continue;
+            (negated ? parsed.excludedPhrases : parsed.phrases).push(value);
+        } else if (negated) {
+            parsed.excludedTerms.push(...tokenizeText(value));
+        } else {
+            parsed.text.push(value);
+        }
+    }
+    
+    parsed.terms = Array.from(new Set([
+        ...tokenizeText(parsed.text.join(' ')),
+        ...tokenizeText(parsed.phrases.join(' '))
+    ]));
+    
+    return parsed;
+}
+
+function hasSearchCriteria(parsed) {
+    return parsed.terms.length > 0 || parsed.phrases.length > 0 ||
+           parsed.topics.length > 0 || parsed.before !== null || parsed.after !== null;
+}
+
+// Plain-text version of a parsed query for web search engines
+function toWebSearchQuery(parsed) {
+    return [
+        ...parsed.text,
+        ...parsed.topics,
+        ...parsed.phrases.map(phrase => `"${phrase}"`)
+    ].join(' ').trim();
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function containsPhrase(article, phrase) {
+    const words = splitWords(phrase);
+    const pattern = new RegExp(`(^|[^a-z0-9])${words.map(escapeRegExp).join('[^a-z0-9]+')}([^a-z0-9]|$)`);
+    return pattern.test(normalizeSearchText(`${article.title} ${article.summary} ${getArticleBody(article)}`));
+}
+
+// Topic, date and exclusion filters (also applied to web results)
+function matchesSearchFilters(article, parsed) {
+    if (parsed.topics.length > 0) {
+        const topics = (article.topics || []).map(topic => topic.toLowerCase());
+        if (!parsed.topics.every(wanted => topics.some(topic => topic.includes(wanted)))) {
+            return false;
+        }
+    }
+    
+    if (parsed.before || parsed.after) {
+        const published = article.publishDate ? new Date(article.publishDate) : null;
+        if (!published || isNaN(published.getTime())) return false;
+        if (parsed.before && published >= parsed.before) return false;
+        if (parsed.after && published < parsed.after) return false;
+    }
+    
+    if (parsed.excludedTerms.length > 0) {
+        const doc = searchIndex.docs.get(article.url);
+        const articleTerms = doc ? null : new Set(tokenizeText(`${article.title} ${article.summary} ${getArticleBody(article)}`));
+        if (parsed.excludedTerms.some(term => doc ? searchIndex.postings.get(term)?.has(article.url) : articleTerms.has(term))) {
+            return false;
+        }
+    }
+    
+    if (parsed.excludedPhrases.some(phrase => containsPhrase(article, phrase))) {
+        return false;
+    }
+    
+    return true;
+}
+
+// Exact index terms, or close spellings when the exact term is unknown
+function expandQueryTerm(term) {
+    if (searchIndex.postings.has(term)) {
+        return [{ term, weight: 1 }];
+    }
+    
+    const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    if (maxDistance === 0) return [];
+    
+    const candidates = [];
+    for (const indexTerm of searchIndex.postings.keys()) {
+        const distance = editDistance(term, indexTerm, maxDistance);
+        if (distance <= maxDistance) {
+            candidates.push({ term: indexTerm, distance });
+        }
+    }
+    
+    return candidates
+        .sort((a, b) => a.distance - b.distance || searchIndex.postings.get(b.term).size - searchIndex.postings.get(a.term).size)
+        .slice(0, 3)
+        .map(candidate => ({ term: candidate.term, weight: FUZZY_MATCH_WEIGHT / candidate.distance }));
+}
+
+// BM25 ranking over the index; returns [{ url, score }]
+// Phrases and filters are checked against the articles themselves (url -> article, i.e. the article cache)
+function queryIndex(parsed, articles) {
+    const docCount = searchIndex.docs.size;
+    if (docCount === 0) return [];
+    
+    const averageLength = searchIndex.totalLength / docCount || 1;
+    const scores = new Map();
+    const matchedTerms = new Map();
+    
+    parsed.terms.forEach(queryTerm => {
+        expandQueryTerm(queryTerm).forEach(({ term, weight }) => {
+            const postings = searchIndex.postings.get(term);
+            const idf = Math.log(1 + (docCount - postings.size + 0.5) / (postings.size + 0.5));
+            
+            postings.forEach((frequency, url) => {
+                const doc = searchIndex.docs.get(url);
+                const norm = frequency * (BM25_K1 + 1) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / averageLength));
+                scores.set(url, (scores.get(url) || 0) + weight * idf * norm);
+                
+                if (!matchedTerms.has(url)) matchedTerms.set(url, new Set());
+                matchedTerms.get(url).add(queryTerm);
+            });
+        });
+    });
+    
+    // Filter-only queries (e.g. "topic:leadership after:2024") match everything, newest first
+    if (parsed.terms.length === 0) {
+        searchIndex.docs.forEach((doc, url) => scores.set(url, 0));
+    }
+    
+    const results = [];
+    scores.forEach((score, url) => {
+        const article = articles.get(url);
+        if (!article) return;
+        
+        if (parsed.phrases.length > 0) {
+            if (!parsed.phrases.every(phrase => containsPhrase(article, phrase))) return;
+            score += PHRASE_MATCH_BONUS * parsed.phrases.length;
+        }
+        
+        if (!matchesSearchFilters(article, parsed)) return;
+        
+        // Reward documents that match more of the query
+        if (parsed.terms.length > 1) {
+            score *= (matchedTerms.get(url)?.size || 0) / parsed.terms.length;
+        }
+        
+        results.push({ url, score });
+    });
+    
+    if (parsed.terms.length === 0) {
+        const publishedAt = url => new Date(articles.get(url).publishDate || 0).getTime() || 0;
+        return results.sort((a, b) => publishedAt(b.url) - publishedAt(a.url));
+    }
+    
+    return results.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    searchIndex,
+    INDEX_FIELD_WEIGHTS,
+    STOP_WORDS,
+    stemWord,
+    normalizeSearchText,
+    splitWords,
+    tokenizeText,
+    getArticleBody,
+    indexArticle,
+    unindexArticle,
+    parseSearchQuery,
+    hasSearchCriteria,
+    toWebSearchQuery,
+    containsPhrase,
+    matchesSearchFilters,
+    expandQueryTerm,
+    queryIndex
+};
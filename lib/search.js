@@ -0,0 +1,211 @@
+// Federated search across the providers, with paged result sets
+
+const { canonicalizeUrl } = require('./urls');
+const { matchesSearchFilters, parseSearchQuery, toWebSearchQuery } = require('./search-index');
+const { DEFAULT_PROVIDER_TIMEOUT, findProvider, searchProviders, withTimeout } = require('./providers');
+
+// Result sets remember a query's merged results between "Next"/"Previous" clicks
+const resultSets = new Map();
+const RESULTS_PAGE_SIZE = 5;
+const RESULT_SET_TTL = 30 * 60 * 1000; // 30 minutes
+
+function pruneResultSets() {
+    const cutoff = Date.now() - RESULT_SET_TTL;
+    for (const [id, resultSet] of resultSets.entries()) {
+        if (resultSet.lastUsedAt < cutoff) {
+            resultSets.delete(id);
+        }
+    }
+}
+
+function createResultSet(query, providers) {
+    pruneResultSets();
+    
+    const parsed = parseSearchQuery(query);
+    const webQuery = toWebSearchQuery(parsed);
+    const resultSet = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        query,
+        parsed,
+        webQuery,
+        providers: providers.map(provider => ({
+            provider,
+            results: [],
+            // Web providers only understand plain text; skip them for filter-only queries
+            nextStart: provider.web && !webQuery ? null : provider.firstStart
+        })),
+        order: [], // canonical URLs in the order they've been shown
+        loading: Promise.resolve(), // the last page load; the next one waits for it
+        lastUsedAt: Date.now()
+    };
+    
+    resultSets.set(resultSet.id, resultSet);
+    return resultSet;
+}
+
+// Ask each provider for another page until it can fill the requested page (or runs dry).
+// Loads on one result set run one after another, so two pages never fetch the same provider page
+function loadProviderResultsUntil(resultSet, count) {
+    const load = resultSet.loading.then(() => fetchProviderResultsUntil(resultSet, count));
+    resultSet.loading = load.catch(() => {});
+    return load;
+}
+
+async function fetchProviderResultsUntil(resultSet, count) {
+    const needsMore = state => state.nextStart !== null && state.results.length < count;
+    
+    while (resultSet.providers.some(needsMore)) {
+        await Promise.all(resultSet.providers.filter(needsMore).map(async state => {
+            const { provider } = state;
+            try {
+                const { results, nextStart } = await withTimeout(
+                    provider.search(provider.web ? resultSet.webQuery : toWebSearchQuery(resultSet.parsed), {
+                        parsed: resultSet.parsed,
+                        rawQuery: resultSet.query,
+                        start: state.nextStart
+                    }),
+                    provider.timeoutMs || DEFAULT_PROVIDER_TIMEOUT,
+                    provider.label
+                );
+                // Web engines only see the plain text; our filters are applied to their results afterwards
+                state.results.push(...(provider.web
+                    ? results.filter(result => matchesSearchFilters(result, resultSet.parsed))
+                    : results));
+                state.nextStart = nextStart ?? null;
+            } catch (error) {
+                console.error(`❌ ${provider.label} error:`, error.message);
+                state.nextStart = null;
+            }
+        }));
+    }
+}
+
+// Identical searches running at the same time share one set of provider calls
+const inFlightSearches = new Map();
+
+function createSearchId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Main search function that fans out to every search provider
+// Returns one page of results; pass resultSetId back in to page through the same results.
+// Every caller gets its own searchId for analytics (pass it back in when paging) even when the fetch is shared
+function searchWorklineArticles(query, { offset = 0, limit = RESULTS_PAGE_SIZE, resultSetId = null, searchId = null, providers = searchProviders } = {}) {
+    const key = JSON.stringify([query.trim(), offset, limit, resultSetId, providers.map(provider => provider.name)]);
+    if (!inFlightSearches.has(key)) {
+        inFlightSearches.set(key, runWorklineSearch(query, { offset, limit, resultSetId, providers }).finally(() => {
+            inFlightSearches.delete(key);
+        }));
+    }
+    return inFlightSearches.get(key).then(page => ({ ...page, searchId: searchId || createSearchId() }));
+}
+
+async function runWorklineSearch(query, { offset, limit, resultSetId, providers }) {
+    console.log(`🔍 Searching for: "${query}" (offset ${offset})`);
+    
+    let resultSet = resultSetId ? resultSets.get(resultSetId) : null;
+    if (!resultSet || resultSet.query !== query) {
+        resultSet = createResultSet(query, providers);
+    }
+    resultSet.lastUsedAt = Date.now();
+    
+    await loadProviderResultsUntil(resultSet, offset + limit);
+    
+    // Merge by rank rather than raw score: each provider scores on its own scale
+    const resultsBySource = {};
+    const weights = {};
+    resultSet.providers.forEach(({ provider, results }) => {
+        resultsBySource[provider.name] = results;
+        weights[provider.name] = provider.weight;
+    });
+    const fused = fuseSearchResults(resultsBySource, weights);
+    
+    // Keep pages already shown stable even though later provider pages change the fusion
+    const byKey = new Map(fused.map(result => [canonicalizeUrl(result.url), result]));
+    const shown = new Set(resultSet.order);
+    fused.forEach(result => {
+        const key = canonicalizeUrl(result.url);
+        if (!shown.has(key) && resultSet.order.length < offset + limit) {
+            resultSet.order.push(key);
+            shown.add(key);
+        }
+    });
+    
+    const ordered = [
+        ...resultSet.order.map(key => byKey.get(key)).filter(Boolean),
+        ...fused.filter(result => !shown.has(canonicalizeUrl(result.url)))
+    ];
+    const providersPending = resultSet.providers.some(state => state.nextStart !== null);
+    
+    return {
+        query,
+        resultSetId: resultSet.id,
+        offset,
+        limit,
+        results: ordered.slice(offset, offset + limit),
+        total: ordered.length,
+        totalIsExact: !providersPending,
+        hasMore: offset + limit < ordered.length || providersPending
+    };
+}
+
+// Reciprocal rank fusion: each source contributes weight / (k + rank) per result
+const RRF_K = 60;
+
+function fuseSearchResults(resultsBySource, weights = {}) {
+    const merged = new Map();
+    
+    Object.entries(resultsBySource).forEach(([source, results]) => {
+        const weight = weights[source] ?? 1;
+        
+        results.forEach((result, index) => {
+            const rank = index + 1;
+            const key = canonicalizeUrl(result.url);
+            const existing = merged.get(key);
+            
+            if (!existing) {
+                merged.set(key, {
+                    ...result,
+                    source,
+                    score: weight / (RRF_K + rank),
+                    foundBy: [{ source, rank }]
+                });
+                return;
+            }
+            
+            existing.score += weight / (RRF_K + rank);
+            existing.foundBy.push({ source, rank });
+            
+            // Fill in anything the first source didn't have
+            Object.entries(result).forEach(([field, value]) => {
+                const current = existing[field];
+                if ((current === undefined || current === null || current === '' ||
+                     (Array.isArray(current) && current.length === 0)) && field !== 'score') {
+                    existing[field] = value;
+                }
+            });
+        });
+    });
+    
+    return Array.from(merged.values()).sort((a, b) => b.score - a.score);
+}
+
+// "Google Search #2 + Local Index #1"
+function describeResultProvenance(result) {
+    const foundBy = result.foundBy || (result.source ? [{ source: result.source }] : []);
+    return foundBy
+        .map(({ source, rank }) => `${findProvider(source)?.label || source}${rank ? ` #${rank}` : ''}`)
+        .join(' + ');
+}
+
+function resultSourceEmoji(result) {
+    const sources = (result.foundBy || [{ source: result.source }]).map(found => found.source);
+    return sources.length > 1 ? '⭐' : findProvider(sources[0])?.emoji || '🔍';
+}
+
+module.exports = {
+    RESULTS_PAGE_SIZE,
+    searchWorklineArticles,
+    describeResultProvenance,
+    resultSourceEmoji
+};
@@ -0,0 +1,178 @@
+// Per-workspace settings and the settings modal
+
+const { WORKSPACE_SETTINGS_FILE } = require('./config');
+const { readJsonFile, writeJsonFile } = require('./storage');
+const { searchProviders } = require('./providers');
+const { RESULTS_PAGE_SIZE } = require('./search');
+const { capitalize } = require('./format');
+const { isWorkspaceAdmin } = require('./permissions');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Per-workspace settings, managed by admins through /workline settings
+const RESULT_COUNT_OPTIONS = [3, 5, 10];
+const DEFAULT_WORKSPACE_SETTINGS = {
+    resultCount: RESULTS_PAGE_SIZE,
+    allowedChannels: [], // Empty means every channel
+    digestTime: '09:00', // UTC, for digests that don't pick their own time
+    digestDay: 1, // Monday, for weekly digests
+    webSearch: true
+};
+let workspaceSettings = null;
+
+function getWorkspaceSettingsStore() {
+    if (!workspaceSettings) {
+        workspaceSettings = readJsonFile(WORKSPACE_SETTINGS_FILE, {});
+    }
+    return workspaceSettings;
+}
+
+function getWorkspaceSettings(teamId) {
+    return { ...DEFAULT_WORKSPACE_SETTINGS, ...getWorkspaceSettingsStore()[teamId] };
+}
+
+function updateWorkspaceSettings(teamId, changes, userId) {
+    const store = getWorkspaceSettingsStore();
+    store[teamId] = { ...getWorkspaceSettings(teamId), ...changes, updatedBy: userId, updatedAt: new Date().toISOString() };
+    
+    try {
+        writeJsonFile(WORKSPACE_SETTINGS_FILE, store);
+    } catch (error) {
+        console.error('❌ Could not persist workspace settings:', error.message);
+    }
+    return store[teamId];
+}
+
+// DMs are always allowed; channels only if the workspace hasn't limited them
+function isChannelAllowed(teamId, channelId) {
+    const { allowedChannels } = getWorkspaceSettings(teamId);
+    return allowedChannels.length === 0 || !channelId || channelId.startsWith('D') || allowedChannels.includes(channelId);
+}
+
+function channelNotAllowedMessage(teamId) {
+    const channels = getWorkspaceSettings(teamId).allowedChannels.map(id => `<#${id}>`).join(', ');
+    return `🚫 Workline isn't enabled in this channel. Try it in ${channels} or send me a DM.`;
+}
+
+// Page size and search providers for a workspace's searches
+function searchOptionsForTeam(teamId) {
+    const settings = getWorkspaceSettings(teamId);
+    return {
+        limit: settings.resultCount,
+        providers: settings.webSearch ? searchProviders : searchProviders.filter(provider => !provider.web)
+    };
+}
+
+function buildSettingsModal(teamId) {
+    const settings = getWorkspaceSettings(teamId);
+    const option = (text, value) => ({ text: { type: "plain_text", text }, value: String(value) });
+    const countOptions = RESULT_COUNT_OPTIONS.map(count => option(`${count} results`, count));
+    const dayOptions = WEEKDAYS.map((day, index) => option(capitalize(day), index));
+    const webOption = option('Include web search results (Google, Brave, Bing)', 'on');
+    
+    return {
+        type: "modal",
+        callback_id: "workline_settings",
+        private_metadata: teamId,
+        title: { type: "plain_text", text: "Workline settings" },
+        submit: { type: "plain_text", text: "Save" },
+        close: { type: "plain_text", text: "Cancel" },
+        blocks: [
+            {
+                type: "input",
+                block_id: "result_count",
+                label: { type: "plain_text", text: "Results per page" },
+                element: {
+                    type: "static_select",
+                    action_id: "value",
+                    options: countOptions,
+                    initial_option: countOptions.find(item => item.value === String(settings.resultCount)) || countOptions[1]
+                }
+            },
+            {
+                type: "input",
+                block_id: "allowed_channels",
+                optional: true,
+                label: { type: "plain_text", text: "Allowed channels" },
+                hint: { type: "plain_text", text: "Leave empty to allow every channel. DMs always work." },
+                element: {
+                    type: "multi_conversations_select",
+                    action_id: "value",
+                    filter: { include: ["public", "private"], exclude_bot_users: true },
+                    ...(settings.allowedChannels.length > 0 ? { initial_conversations: settings.allowedChannels } : {})
+                }
+            },
+            {
+                type: "input",
+                block_id: "digest_time",
+                label: { type: "plain_text", text: "Digest time (UTC)" },
+                hint: { type: "plain_text", text: "Used by daily and weekly subscriptions that don't set their own time." },
+                element: { type: "timepicker", action_id: "value", initial_time: settings.digestTime }
+            },
+            {
+                type: "input",
+                block_id: "digest_day",
+                label: { type: "plain_text", text: "Weekly digest day" },
+                element: {
+                    type: "static_select",
+                    action_id: "value",
+                    options: dayOptions,
+                    initial_option: dayOptions[settings.digestDay]
+                }
+            },
+            {
+                type: "input",
+                block_id: "web_search",
+                optional: true,
+                label: { type: "plain_text", text: "Web search" },
+                element: {
+                    type: "checkboxes",
+                    action_id: "value",
+                    options: [webOption],
+                    ...(settings.webSearch ? { initial_options: [webOption] } : {})
+                }
+            }
+        ]
+    };
+}
+
+function parseSettingsSubmission(values) {
+    return {
+        resultCount: parseInt(values.result_count.value.selected_option.value, 10),
+        allowedChannels: values.allowed_channels.value.selected_conversations || [],
+        digestTime: values.digest_time.value.selected_time || DEFAULT_WORKSPACE_SETTINGS.digestTime,
+        digestDay: parseInt(values.digest_day.value.selected_option.value, 10),
+        webSearch: (values.web_search.value.selected_options || []).length > 0
+    };
+}
+
+function describeWorkspaceSettings(settings) {
+    const channels = settings.allowedChannels.length > 0
+        ? settings.allowedChannels.map(id => `<#${id}>`).join(', ')
+        : 'all channels';
+    return `• ${settings.resultCount} results per page\n• Allowed in ${channels}\n` +
+        `• Digests at ${settings.digestTime} UTC, weekly on ${capitalize(WEEKDAYS[settings.digestDay])}s\n` +
+        `• Web search ${settings.webSearch ? 'on' : 'off'}`;
+}
+
+// /workline settings (admins only)
+async function handleSettingsCommand({ command, respond, client }) {
+    if (!await isWorkspaceAdmin(client, command.user_id)) {
+        await respond({ text: "🔒 Only workspace admins can change Workline settings." });
+        return;
+    }
+    
+    await client.views.open({ trigger_id: command.trigger_id, view: buildSettingsModal(command.team_id) });
+}
+
+module.exports = {
+    WEEKDAYS,
+    getWorkspaceSettings,
+    updateWorkspaceSettings,
+    isChannelAllowed,
+    channelNotAllowedMessage,
+    searchOptionsForTeam,
+    parseSettingsSubmission,
+    describeWorkspaceSettings,
+    handleSettingsCommand
+};
@@ -0,0 +1,34 @@
+// JSON files under DATA_DIR
+
+const fs = require('fs');
+const path = require('path');
+
+// Read a JSON file from the data directory, falling back if missing or corrupt
+function readJsonFile(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`❌ Could not read ${file}:`, error.message);
+        }
+        return fallback;
+    }
+}
+
+// Write a file atomically so a crash never leaves half-written data behind
+function writeFileAtomic(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, data);
+    fs.renameSync(tmpFile, file);
+}
+
+function writeJsonFile(file, data) {
+    writeFileAtomic(file, JSON.stringify(data, null, 2));
+}
+
+module.exports = {
+    readJsonFile,
+    writeFileAtomic,
+    writeJsonFile
+};
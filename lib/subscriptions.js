@@ -0,0 +1,396 @@
+// Topic subscriptions and digests
+
+const { OAUTH_ENABLED, SUBSCRIPTIONS_FILE } = require('./config');
+const { readJsonFile, writeJsonFile } = require('./storage');
+const {
+    containsPhrase, hasSearchCriteria, matchesSearchFilters, parseSearchQuery, searchIndex
+} = require('./search-index');
+const { articleCache } = require('./article-store');
+const { capitalize, sanitizeSlackText } = require('./format');
+const { installationStore } = require('./installation-store');
+const { WEEKDAYS, channelNotAllowedMessage, getWorkspaceSettings, isChannelAllowed } = require('./settings');
+
+// Subscriptions: post new articles matching a topic or keywords to a channel or user
+let subscriptions = null;
+const DIGEST_CHECK_INTERVAL = 60 * 1000; // 1 minute
+const DIGEST_MAX_ARTICLES = 10;
+const SUBSCRIPTION_FREQUENCIES = ['instant', 'daily', 'weekly'];
+let slackClient = null; // The app's WebClient, set at startup
+
+function setSlackClient(client) {
+    slackClient = client;
+}
+
+function getSubscriptions() {
+    if (!subscriptions) {
+        subscriptions = readJsonFile(SUBSCRIPTIONS_FILE, []);
+    }
+    return subscriptions;
+}
+
+function persistSubscriptions() {
+    try {
+        writeJsonFile(SUBSCRIPTIONS_FILE, getSubscriptions());
+    } catch (error) {
+        console.error('❌ Could not persist subscriptions:', error.message);
+    }
+}
+
+// Parse "<topic|keywords> [instant|daily|weekly] [at HH:MM] [on <weekday>] [dm]"
+// Time and day stay null unless given, so the digest follows the workspace's schedule
+function parseSubscribeArgs(args) {
+    const options = { frequency: 'instant', time: null, day: null, direct: false };
+    const queryWords = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        const word = args[i].toLowerCase();
+        const next = (args[i + 1] || '').toLowerCase();
+        
+        if (SUBSCRIPTION_FREQUENCIES.includes(word)) {
+            options.frequency = word;
+        } else if (word === 'at' && /^([01]?\d|2[0-3]):[0-5]\d$/.test(next)) {
+            options.time = next.padStart(5, '0');
+            i++;
+        } else if (word === 'on' && WEEKDAYS.some(day => day.startsWith(next) && next.length >= 3)) {
+            options.day = WEEKDAYS.findIndex(day => day.startsWith(next));
+            i++;
+        } else if (word === 'dm' || word === 'me') {
+            options.direct = true;
+        } else {
+            queryWords.push(args[i]);
+        }
+    }
+    
+    return { query: queryWords.join(' ').trim(), ...options };
+}
+
+// Subscriptions require every keyword (or the topic) rather than any of them
+function articleMatchesSubscription(article, subscription) {
+    const parsed = parseSearchQuery(subscription.query);
+    if (!hasSearchCriteria(parsed) || !matchesSearchFilters(article, parsed)) {
+        return false;
+    }
+    if (!parsed.phrases.every(phrase => containsPhrase(article, phrase))) {
+        return false;
+    }
+    return parsed.terms.every(term => searchIndex.postings.get(term)?.has(article.url));
+}
+
+// Digest time and weekday, falling back to the workspace's digest schedule
+function subscriptionSchedule(subscription) {
+    const settings = getWorkspaceSettings(subscription.teamId);
+    return {
+        time: subscription.time || settings.digestTime,
+        day: subscription.day ?? settings.digestDay
+    };
+}
+
+function describeSubscription(subscription) {
+    const target = subscription.userId ? 'you (DM)' : `<#${subscription.channelId}>`;
+    const { time, day } = subscriptionSchedule(subscription);
+    let schedule = 'as soon as they are published';
+    if (subscription.frequency === 'daily') {
+        schedule = `in a daily digest at ${time} UTC`;
+    } else if (subscription.frequency === 'weekly') {
+        schedule = `in a weekly digest on ${capitalize(WEEKDAYS[day])}s at ${time} UTC`;
+    }
+    return `*${subscription.query}* → ${target}, ${schedule}`;
+}
+
+// Background posts have no incoming request to borrow a token from, so look up the workspace's bot token
+async function botTokenForSubscription(subscription) {
+    if (!OAUTH_ENABLED) return undefined; // slackClient already carries SLACK_BOT_TOKEN
+    
+    const installation = await installationStore.fetchInstallation({
+        teamId: subscription.teamId,
+        enterpriseId: subscription.enterpriseId || undefined,
+        isEnterpriseInstall: Boolean(subscription.isEnterpriseInstall)
+    });
+    return installation.bot?.token;
+}
+
+async function postToSubscriber(subscription, message) {
+    const token = await botTokenForSubscription(subscription);
+    let channel = subscription.channelId;
+    if (subscription.userId) {
+        const { channel: dm } = await slackClient.conversations.open({ token, users: subscription.userId });
+        channel = dm.id;
+    }
+    await slackClient.chat.postMessage({ token, channel, unfurl_links: false, ...message });
+}
+
+function formatNewArticleMessage(article, subscription) {
+    return {
+        text: `🆕 New Workline article for "${subscription.query}": ${sanitizeSlackText(article.title)}`,
+        blocks: [
+            {
+                type: "context",
+                elements: [{ type: "mrkdwn", text: `🆕 New article matching your subscription to *${subscription.query}*` }]
+            },
+            {
+                type: "section",
+                text: {
+                    type: "mrkdwn",
+                    text: `📰 *<${article.url}|${sanitizeSlackText(article.title)}>*${article.summary ? `\n${sanitizeSlackText(article.summary)}` : ''}`
+                }
+            }
+        ]
+    };
+}
+
+function formatDigestMessage(articles, subscription) {
+    const blocks = [
+        {
+            type: "section",
+            text: {
+                type: "mrkdwn",
+                text: `📬 *Your ${subscription.frequency} Workline digest for "${subscription.query}"* — ${articles.length} new article${articles.length !== 1 ? 's' : ''}`
+            }
+        },
+        { type: "divider" }
+    ];
+    
+    articles.slice(0, DIGEST_MAX_ARTICLES).forEach(article => {
+        blocks.push({
+            type: "section",
+            text: {
+                type: "mrkdwn",
+                text: `*<${article.url}|${sanitizeSlackText(article.title)}>*${article.summary ? `\n${sanitizeSlackText(article.summary)}` : ''}`
+            }
+        });
+    });
+    
+    if (articles.length > DIGEST_MAX_ARTICLES) {
+        blocks.push({
+            type: "context",
+            elements: [{ type: "mrkdwn", text: `…and ${articles.length - DIGEST_MAX_ARTICLES} more. Try \`/workline ${subscription.query}\`.` }]
+        });
+    }
+    
+    return { text: `📬 Workline digest for "${subscription.query}"`, blocks };
+}
+
+// Called after a refresh with the URLs it saw for the first time
+async function deliverNewArticles(urls) {
+    const articles = urls.map(url => articleCache.get(url)).filter(Boolean);
+    if (articles.length === 0 || getSubscriptions().length === 0) return;
+    
+    console.log(`📬 Checking ${articles.length} new article${articles.length !== 1 ? 's' : ''} against ${getSubscriptions().length} subscriptions`);
+    
+    for (const subscription of getSubscriptions()) {
+        const matches = articles.filter(article => articleMatchesSubscription(article, subscription));
+        if (matches.length === 0) continue;
+        
+        if (subscription.frequency !== 'instant') {
+            const pending = new Set(subscription.pending || []);
+            matches.forEach(article => pending.add(article.url));
+            subscription.pending = Array.from(pending);
+            continue;
+        }
+        
+        for (const article of matches) {
+            try {
+                await postToSubscriber(subscription, formatNewArticleMessage(article, subscription));
+            } catch (error) {
+                console.error(`❌ Could not deliver to subscription ${subscription.id}:`, error.data?.error || error.message);
+            }
+        }
+    }
+    
+    persistSubscriptions();
+}
+
+// Most recent scheduled digest time at or before `now` (UTC)
+function lastScheduledDigestTime(subscription, now) {
+    const { time, day } = subscriptionSchedule(subscription);
+    const [hours, minutes] = time.split(':').map(Number);
+    const scheduled = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hours, minutes));
+    
+    if (subscription.frequency === 'weekly') {
+        scheduled.setUTCDate(scheduled.getUTCDate() - ((now.getUTCDay() - day + 7) % 7));
+    }
+    if (scheduled > now) {
+        scheduled.setUTCDate(scheduled.getUTCDate() - (subscription.frequency === 'weekly' ? 7 : 1));
+    }
+    return scheduled;
+}
+
+async function sendDueDigests() {
+    const now = new Date();
+    let changed = false;
+    
+    for (const subscription of getSubscriptions()) {
+        if (subscription.frequency === 'instant') continue;
+        
+        const dueAt = lastScheduledDigestTime(subscription, now);
+        const lastSentAt = new Date(subscription.lastDigestAt || subscription.createdAt);
+        if (lastSentAt >= dueAt) continue;
+        
+        const articles = (subscription.pending || []).map(url => articleCache.get(url)).filter(Boolean);
+        try {
+            if (articles.length > 0) {
+                await postToSubscriber(subscription, formatDigestMessage(articles, subscription));
+            }
+            subscription.pending = [];
+            subscription.lastDigestAt = now.toISOString();
+            changed = true;
+        } catch (error) {
+            console.error(`❌ Could not send digest for subscription ${subscription.id}:`, error.data?.error || error.message);
+        }
+    }
+    
+    if (changed) {
+        persistSubscriptions();
+    }
+}
+
+function startDigestScheduler() {
+    setInterval(() => {
+        sendDueDigests().catch(error => console.error('❌ Digest scheduler error:', error));
+    }, DIGEST_CHECK_INTERVAL);
+}
+
+// Subscriptions for this channel or user, within the command's workspace only
+function findSubscriptionsFor(command) {
+    return getSubscriptions().filter(subscription => subscription.teamId === command.team_id &&
+        (subscription.channelId === command.channel_id || subscription.userId === command.user_id));
+}
+
+function formatSubscriptionList(command) {
+    const list = findSubscriptionsFor(command);
+    
+    if (list.length === 0) {
+        return { text: "📭 No subscriptions here yet. Try `/workline subscribe hybrid work daily at 09:00`." };
+    }
+    
+    return {
+        blocks: [
+            {
+                type: "section",
+                text: { type: "mrkdwn", text: `📬 *Subscriptions* (${list.length})` }
+            },
+            { type: "divider" },
+            ...list.slice(0, 40).map(subscription => ({
+                type: "section",
+                text: { type: "mrkdwn", text: describeSubscription(subscription) },
+                accessory: {
+                    type: "button",
+                    text: { type: "plain_text", text: "Unsubscribe" },
+                    action_id: "unsubscribe",
+                    value: subscription.id
+                }
+            }))
+        ]
+    };
+}
+
+// /workline subscribe <topic|keywords> [instant|daily|weekly] [at HH:MM] [on <weekday>] [dm]
+async function handleSubscribeCommand({ command, args, respond }) {
+    const options = parseSubscribeArgs(args);
+    
+    if (!options.query || !hasSearchCriteria(parseSearchQuery(options.query))) {
+        await respond({
+            text: "*Usage:* `/workline subscribe <topic or keywords> [instant|daily|weekly] [at HH:MM] [on monday] [dm]`\n" +
+                  "• `/workline subscribe topic:leadership` - Post new leadership articles here right away\n" +
+                  "• `/workline subscribe hybrid work daily at 09:00` - Daily digest at 09:00 UTC\n" +
+                  "• `/workline subscribe office design weekly on friday dm` - Weekly digest in your DMs"
+        });
+        return;
+    }
+    
+    // Direct messages with other people can't receive bot posts, so deliver those to the user
+    const direct = options.direct || command.channel_name === 'directmessage';
+    if (!direct && !isChannelAllowed(command.team_id, command.channel_id)) {
+        await respond({ text: channelNotAllowedMessage(command.team_id) });
+        return;
+    }
+    const subscription = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        teamId: command.team_id,
+        enterpriseId: command.enterprise_id || null,
+        isEnterpriseInstall: command.is_enterprise_install === 'true',
+        channelId: direct ? null : command.channel_id,
+        userId: direct ? command.user_id : null,
+        createdBy: command.user_id,
+        query: options.query,
+        frequency: options.frequency,
+        time: options.time,
+        day: options.day,
+        pending: [],
+        createdAt: new Date().toISOString(),
+        lastDigestAt: null
+    };
+    
+    getSubscriptions().push(subscription);
+    persistSubscriptions();
+    
+    await respond({
+        text: `✅ Subscribed! New articles matching ${describeSubscription(subscription)}.` +
+              (direct ? '' : '\n_Make sure I\'m in this channel (`/invite @Workline`) so I can post here._')
+    });
+}
+
+// /workline subscriptions
+async function handleSubscriptionsCommand({ command, respond }) {
+    await respond(formatSubscriptionList(command));
+}
+
+function removeSubscription(id) {
+    const list = getSubscriptions();
+    const index = list.findIndex(subscription => subscription.id === id);
+    if (index === -1) return null;
+    
+    const [removed] = list.splice(index, 1);
+    persistSubscriptions();
+    return removed;
+}
+
+// Only the person who created a subscription can remove it, and only from its own workspace
+function isSubscriptionOwner(subscription, userId, teamId) {
+    return subscription.teamId === teamId && (subscription.createdBy || subscription.userId) === userId;
+}
+
+function findSubscription(id) {
+    return getSubscriptions().find(subscription => subscription.id === id) || null;
+}
+
+// /workline unsubscribe <keywords|all>
+async function handleUnsubscribeCommand({ command, args, respond }) {
+    const target = args.join(' ').trim().toLowerCase();
+    const mine = findSubscriptionsFor(command);
+    
+    if (!target) {
+        await respond(formatSubscriptionList(command));
+        return;
+    }
+    
+    const matching = target === 'all'
+        ? mine
+        : mine.filter(subscription => subscription.query.toLowerCase() === target || subscription.id === target);
+    const toRemove = matching.filter(subscription => isSubscriptionOwner(subscription, command.user_id, command.team_id));
+    
+    if (matching.length === 0) {
+        await respond({ text: `🤷 No subscription for *${target}* here. See \`/workline subscriptions\`.` });
+        return;
+    }
+    if (toRemove.length === 0) {
+        await respond({ text: "🔒 Only the person who created a subscription can remove it." });
+        return;
+    }
+    
+    toRemove.forEach(subscription => removeSubscription(subscription.id));
+    await respond({ text: `🗑️ Removed ${toRemove.length} subscription${toRemove.length !== 1 ? 's' : ''}.` });
+}
+
+module.exports = {
+    setSlackClient,
+    getSubscriptions,
+    deliverNewArticles,
+    startDigestScheduler,
+    handleSubscribeCommand,
+    handleSubscriptionsCommand,
+    findSubscription,
+    isSubscriptionOwner,
+    removeSubscription,
+    handleUnsubscribeCommand
+};
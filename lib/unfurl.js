@@ -0,0 +1,59 @@
+// Link unfurls
+
+const { canonicalizeUrl } = require('./urls');
+const { searchCachedArticles } = require('./providers');
+const { articleMetadata, sanitizeSlackText } = require('./format');
+
+// Link unfurling for Workline article URLs
+const UNFURL_RELATED_COUNT = 2;
+
+// Other articles on the same topics, found through the regular index search
+async function findRelatedByTopics(article, count) {
+    const query = (article.topics && article.topics.length > 0)
+        ? article.topics.join(' ')
+        : article.title;
+    const key = canonicalizeUrl(article.url);
+    
+    const results = await searchCachedArticles(query);
+    return results
+        .filter(result => canonicalizeUrl(result.url) !== key)
+        .slice(0, count);
+}
+
+function formatArticleUnfurl(article, related) {
+    const blocks = [
+        {
+            type: "section",
+            text: {
+                type: "mrkdwn",
+                text: `📰 *<${article.url}|${sanitizeSlackText(article.title)}>*${article.summary ? `\n${sanitizeSlackText(article.summary)}` : ''}`
+            }
+        }
+    ];
+    
+    const metadata = articleMetadata(article);
+    if (metadata.length > 0) {
+        blocks.push({
+            type: "context",
+            elements: [{ type: "mrkdwn", text: metadata.join(' • ') }]
+        });
+    }
+    
+    if (related.length > 0) {
+        blocks.push({
+            type: "context",
+            elements: [{
+                type: "mrkdwn",
+                text: `📚 *Related:* ${related.map(result => `<${result.url}|${sanitizeSlackText(result.title)}>`).join(' • ')}`
+            }]
+        });
+    }
+    
+    return { blocks };
+}
+
+module.exports = {
+    UNFURL_RELATED_COUNT,
+    findRelatedByTopics,
+    formatArticleUnfurl
+};
@@ -0,0 +1,91 @@
+// Workline URL helpers
+
+const { WORKLINE_HOST, WORKLINE_INDEX_URL } = require('./config');
+
+// Tracking parameters that never change which article a URL points to
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref)$/i;
+
+// https vs http, www, trailing slashes and tracking params all map to one URL
+function canonicalizeUrl(href) {
+    try {
+        const url = new URL(href);
+        url.protocol = 'https:';
+        url.hostname = url.hostname.toLowerCase().replace(/^www\./, '');
+        url.hash = '';
+        
+        const params = Array.from(url.searchParams.entries())
+            .filter(([key]) => !TRACKING_PARAM_PATTERN.test(key))
+            .sort(([a], [b]) => a.localeCompare(b));
+        url.search = new URLSearchParams(params).toString();
+        
+        if (url.pathname.length > 1) {
+            url.pathname = url.pathname.replace(/\/+$/, '');
+        }
+        return url.toString();
+    } catch (e) {
+        return href;
+    }
+}
+
+// Crawler helpers
+
+// Resolve a link against the page it came from, dropping fragments
+function resolveCrawlUrl(href, base) {
+    if (!href || href.startsWith('mailto:') || href.startsWith('javascript:')) {
+        return null;
+    }
+    try {
+        const url = new URL(href, base);
+        url.hash = '';
+        return url.toString();
+    } catch (e) {
+        return null;
+    }
+}
+
+function isWorklineHost(url) {
+    return url.protocol.startsWith('http') && url.hostname.replace(/^www\./, '') === WORKLINE_HOST;
+}
+
+// Archive listing pages: the index itself and its pagination (/page/2/, ?page=2)
+function isArchiveIndexUrl(href) {
+    try {
+        const url = new URL(href);
+        if (!isWorklineHost(url)) return false;
+        const indexPath = new URL(WORKLINE_INDEX_URL).pathname;
+        return url.pathname === indexPath ||
+               url.pathname === indexPath.replace(/\/$/, '') ||
+               new RegExp(`^${indexPath}page/\\d+/?$`).test(url.pathname);
+    } catch (e) {
+        return false;
+    }
+}
+
+// Individual Workline articles live directly under the archive path
+function isArchiveArticleUrl(href) {
+    try {
+        const url = new URL(href);
+        if (!isWorklineHost(url) || isArchiveIndexUrl(href)) return false;
+        const indexPath = new URL(WORKLINE_INDEX_URL).pathname;
+        return url.pathname.startsWith(indexPath) &&
+               !/^(feed|tag|category|author)(\/|$)/.test(url.pathname.slice(indexPath.length));
+    } catch (e) {
+        return false;
+    }
+}
+
+// Articles are keyed without query strings so the same page isn't crawled twice
+function normalizeArticleUrl(href) {
+    const url = new URL(href);
+    url.search = '';
+    url.hash = '';
+    return url.toString();
+}
+
+module.exports = {
+    canonicalizeUrl,
+    resolveCrawlUrl,
+    isArchiveIndexUrl,
+    isArchiveArticleUrl,
+    normalizeArticleUrl
+};
@@ -0,0 +1,63 @@
+// No politeness delay between requests, so the test measures the workers rather than the rate limit
+process.env.CRAWL_RATE_LIMIT_MS = '0';
+
+const fs = require('fs');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ARTICLE_SLUGS, articleUrl, mockHttp, pageFixture } = require('./helpers');
+const { ARTICLE_STORE_FILE, STORE_PERSIST_DELAY, WORKLINE_INDEX_URL } = require('../lib/config');
+const { sleep } = require('../lib/http');
+const { articleCache } = require('../lib/article-store');
+const { refreshArticleCache, refreshStatus } = require('../lib/crawler');
+
+describe('refreshArticleCache', () => {
+    it('keeps every worker busy with links found while crawling', async () => {
+        // The index only lists the playbook; the other two articles are linked from it
+        const indexPage = { status: 200, headers: { 'content-type': 'text/html' }, data: `<a href="${articleUrl('hybrid-work-playbook')}">Playbook</a>` };
+        let active = 0;
+        let maxActive = 0;
+        const slowArticle = slug => async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await sleep(30);
+            active--;
+            return pageFixture(slug);
+        };
+        mockHttp([[WORKLINE_INDEX_URL, indexPage], ...ARTICLE_SLUGS.map(slug => [articleUrl(slug), slowArticle(slug)])]);
+        
+        await refreshArticleCache();
+        
+        assert.equal(refreshStatus.scraped, 3);
+        assert.deepEqual(ARTICLE_SLUGS.filter(slug => articleCache.has(articleUrl(slug))), ARTICLE_SLUGS);
+        assert.equal(maxActive, 2, 'both workers fetch the linked articles side by side');
+    });
+    
+    it('writes the article store once at the end of a crawl', async () => {
+        // The linked articles take longer than the persist delay, so a per-article save would fire mid-crawl
+        const indexPage = { status: 200, headers: { 'content-type': 'text/html' }, data: `<a href="${articleUrl('hybrid-work-playbook')}">Playbook</a>` };
+        const slowArticle = slug => async () => {
+            await sleep(STORE_PERSIST_DELAY + 100);
+            return pageFixture(slug);
+        };
+        mockHttp([
+            [WORKLINE_INDEX_URL, indexPage],
+            [articleUrl('hybrid-work-playbook'), pageFixture('hybrid-work-playbook')],
+            ...ARTICLE_SLUGS.slice(1).map(slug => [articleUrl(slug), slowArticle(slug)])
+        ]);
+        
+        const renameSync = fs.renameSync;
+        let storeWrites = 0;
+        fs.renameSync = (from, to) => {
+            if (to === ARTICLE_STORE_FILE) storeWrites++;
+            return renameSync(from, to);
+        };
+        try {
+            await refreshArticleCache();
+        } finally {
+            fs.renameSync = renameSync;
+        }
+        
+        assert.equal(refreshStatus.scraped, 3);
+        assert.equal(storeWrites, 1);
+    });
+});
@@ -0,0 +1,50 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadArticleFixtures } = require('./helpers');
+const {
+    extractKeyPhrases, messageToQuery, buildFindArticlesModal, parseFindArticlesSubmission
+} = require('../lib/find-articles');
+
+const MESSAGE = "Hey <@U0ALICE>, we're debating anchor days vs attendance quotas for our hybrid work policy. Thoughts? :thinking_face: <https://example.com/draft|our draft>";
+
+describe('extractKeyPhrases', () => {
+    before(loadArticleFixtures);
+    
+    it('pulls phrases out of a chat message, ignoring mentions, emoji and filler', () => {
+        assert.deepEqual(extractKeyPhrases(MESSAGE), ['hybrid work policy', 'anchor days', 'attendance quotas']);
+    });
+    
+    it('trims words the archive never uses off the ends of a phrase', () => {
+        assert.deepEqual(
+            extractKeyPhrases('Does anyone know how to measure office utilization? Badge data seems noisy `SELECT * FROM badges`'),
+            ['measure office utilization', 'badge data']
+        );
+    });
+    
+    it('finds nothing in small talk', () => {
+        assert.deepEqual(extractKeyPhrases('lol ok thanks :pray:'), []);
+        assert.equal(messageToQuery('lol ok thanks :pray:'), '');
+    });
+});
+
+describe('buildFindArticlesModal', () => {
+    it('prefills the query and round-trips the thread through the submission', () => {
+        const view = buildFindArticlesModal({
+            query: 'anchor days',
+            channelId: 'C0GENERAL',
+            threadTs: '1700000000.000100',
+            messageText: MESSAGE
+        });
+        
+        assert.equal(view.callback_id, 'find_workline_articles');
+        assert.equal(view.blocks[0].elements[0].text, "💬 Hey , we're debating anchor days vs attendance quotas for our hybrid work policy. Thoughts? our draft");
+        assert.equal(view.blocks[1].element.initial_value, 'anchor days');
+        
+        const submitted = { ...view, state: { values: { query: { value: { value: '  anchor days -remote ' } } } } };
+        assert.deepEqual(parseFindArticlesSubmission(submitted), {
+            query: 'anchor days -remote',
+            channelId: 'C0GENERAL',
+            threadTs: '1700000000.000100'
+        });
+    });
+});
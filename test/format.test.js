@@ -0,0 +1,129 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { articleUrl, googleFixture, googleSearchUrl, mockHttp, articleRoutes, loadArticleFixtures } = require('./helpers');
+const { searchCachedArticles, findProvider } = require('../lib/providers');
+const { searchWorklineArticles } = require('../lib/search');
+const { formatArticleCard, formatSearchResults } = require('../lib/format');
+
+const PLAYBOOK = articleUrl('hybrid-work-playbook');
+
+const blocksOfType = (blocks, type) => blocks.filter(block => block.type === type);
+
+describe('formatSearchResults', () => {
+    before(loadArticleFixtures);
+    
+    it('renders a heading, one card per result and the provider legend', async () => {
+        const results = await searchCachedArticles('hybrid work');
+        const { blocks } = formatSearchResults('hybrid work', results);
+        
+        assert.deepEqual(blocks[0], { type: 'section', text: { type: 'mrkdwn', text: '🎯 *Found 2 results for "hybrid work"*' } });
+        assert.deepEqual(blocks[1], { type: 'divider' });
+        assert.equal(blocksOfType(blocks, 'section').length, 1 + results.length);
+        assert.equal(blocksOfType(blocks, 'divider').length, 1 + (results.length - 1) + 1, 'dividers go between results, not after the last');
+        
+        const footer = blocks[blocks.length - 1];
+        assert.equal(footer.type, 'context');
+        assert.equal(footer.elements[0].text, '💡 *Tip:* 🌐 = Google Search, 💾 = Local Index, ⭐ = Found by several');
+    });
+    
+    it('links each card to the matching section and highlights the query in a passage', async () => {
+        const results = await searchCachedArticles('anchor days');
+        const { blocks } = formatSearchResults('anchor days', results);
+        const card = blocks[2];
+        const sectionUrl = `${PLAYBOOK}#:~:text=Anchor%20days%20beat%20attendance%20quotas`;
+        
+        assert.equal(card.type, 'section');
+        assert.ok(card.text.text.startsWith(`💾 *<${sectionUrl}|The Hybrid Work Playbook>*\n`));
+        assert.match(card.text.text, /\*Anchor\* \*days\* put the people who need each other/);
+        assert.deepEqual(card.accessory, {
+            type: 'button',
+            text: { type: 'plain_text', text: '📖 Read Article' },
+            url: sectionUrl,
+            action_id: 'read_0',
+            value: JSON.stringify({ s: null, q: 'anchor days', r: 1 })
+        });
+        
+        const metadata = blocks[3].elements[0].text;
+        assert.match(metadata, /^🏷️ hybrid work, team charters, return to office • 📅 .+ • ⏱️ 1 min read/);
+        assert.match(metadata, /📑 Section: Anchor days beat attendance quotas • 🔍 Local Index$/);
+    });
+    
+    it('adds share, save and related buttons for every result', async () => {
+        const results = await searchCachedArticles('hybrid work');
+        const { blocks } = formatSearchResults('hybrid work', results);
+        const actions = blocksOfType(blocks, 'actions');
+        
+        assert.equal(actions.length, results.length);
+        actions.forEach((block, index) => {
+            assert.deepEqual(block.elements.map(button => [button.action_id, button.value]), [
+                ['share_article', results[index].url],
+                ['save_article', results[index].url],
+                ['related_article', results[index].url]
+            ]);
+        });
+    });
+    
+    it('credits every source that found a merged result', async () => {
+        mockHttp([[googleSearchUrl('hybrid work'), googleFixture('hybrid-work')], ...articleRoutes()]);
+        const page = await searchWorklineArticles('hybrid work', { providers: [findProvider('google'), findProvider('cache')] });
+        const { blocks } = formatSearchResults('hybrid work', page.results, page);
+        
+        assert.ok(blocks[2].text.text.startsWith('⭐ '));
+        assert.match(blocks[3].elements[0].text, /🔍 Google Search #1 \+ Local Index #1$/);
+    });
+    
+    it('adds Previous/Next buttons that carry the query, offset and result set', () => {
+        const results = [{ url: PLAYBOOK, title: 'The Hybrid Work Playbook', summary: 'Anchor days and team charters.', source: 'google' }];
+        const page = { offset: 5, limit: 5, total: 12, totalIsExact: false, hasMore: true, resultSetId: 'set1', searchId: 'search1' };
+        const { blocks } = formatSearchResults('charters', results, page);
+        
+        assert.equal(blocks[0].text.text, '🎯 *Results 6–6 of 12+ for "charters"*');
+        assert.equal(blocks[2].accessory.action_id, 'read_5');
+        assert.deepEqual(JSON.parse(blocks[2].accessory.value), { s: 'search1', q: 'charters', r: 6 });
+        
+        const paging = blocks[blocks.length - 3];
+        assert.deepEqual(paging.elements.map(button => [button.action_id, button.text.text, JSON.parse(button.value)]), [
+            ['results_prev', '⬅️ Previous', { q: 'charters', o: 0, id: 'set1', s: 'search1' }],
+            ['results_next', 'Next 5 ➡️', { q: 'charters', o: 6, id: 'set1', s: 'search1' }]
+        ]);
+    });
+    
+    it('points to /workline instead of paging when paging is off', () => {
+        const results = [{ url: PLAYBOOK, title: 'The Hybrid Work Playbook', summary: 'Anchor days and team charters.', source: 'google' }];
+        const page = { offset: 0, limit: 1, total: 3, totalIsExact: true, hasMore: true, resultSetId: 'set1', searchId: 'search1' };
+        const { blocks } = formatSearchResults('charters', results, page, { paging: false });
+        
+        assert.ok(!blocks.some(block => block.type === 'actions' && block.elements[0].action_id.startsWith('results_')));
+        assert.equal(blocks[blocks.length - 3].elements[0].text, '🔎 More results: `/workline charters`');
+    });
+    
+    it('escapes Slack control characters in titles and summaries', () => {
+        const results = [{ url: 'https://www.flexos.work/the-workline/q-and-a/', title: 'Q&A: <Hybrid> work', summary: 'Why *everyone* asks', source: 'google' }];
+        const { blocks } = formatSearchResults('q&a', results);
+        
+        assert.equal(blocks[2].text.text, '🌐 *<https://www.flexos.work/the-workline/q-and-a/|Q&amp;A: &lt;Hybrid&gt; work>*\nWhy everyone asks');
+    });
+    
+    it('escapes the matched section heading', () => {
+        const url = 'https://www.flexos.work/the-workline/q-and-a/';
+        const results = [{ url, title: 'Q&A', summary: 'Answers', source: 'cache', matchedSection: { heading: '<!channel> <https://evil.example|click>', url } }];
+        const { blocks } = formatSearchResults('answers', results);
+        
+        assert.equal(blocks[3].elements[0].text, '📑 Section: &lt;!channel&gt; &lt;https://evil.example|click&gt; • 🔍 Local Index');
+    });
+
+    it('escapes topics in search result metadata', () => {
+        const results = [{ url: 'https://www.flexos.work/the-workline/q-and-a/', title: 'Q&A', summary: 'Answers', source: 'cache', topics: ['<!channel>', '*bold*'] }];
+        const { blocks } = formatSearchResults('answers', results);
+        
+        assert.equal(blocks[3].elements[0].text, '🏷️ &lt;!channel&gt;, bold • 🔍 Local Index');
+    });
+
+    it('escapes scraped text on shared article cards', () => {
+        const article = { url: 'https://www.flexos.work/the-workline/q-and-a/', title: 'Q&A <!channel> | *now*', summary: 'See <https://evil.example|this>', topics: [] };
+        const card = formatArticleCard(article, 'U0SHARER');
+        
+        assert.equal(card.text, '<@U0SHARER> shared "Q&amp;A &lt;!channel&gt; | now": https://www.flexos.work/the-workline/q-and-a/');
+        assert.equal(card.blocks[0].text.text, '📰 *<https://www.flexos.work/the-workline/q-and-a/|Q&amp;A &lt;!channel&gt; | now>*\nSee &lt;https://evil.example|this&gt;');
+    });
+});
@@ -0,0 +1,474 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    articleUrl, googleFixture, googleSearchUrl, httpRequests, mockHttp, articleRoutes, loadArticleFixtures,
+    createFakeApp, createMockClient, recorder
+} = require('./helpers');
+const { registerHandlers } = require('../lib/handlers');
+const { USER_SEARCHES_PER_MINUTE } = require('../lib/rate-limit');
+const { findStoredArticle, removeArticleFromMemory, storeArticle } = require('../lib/article-store');
+const { recordClickEvent, recordSearchEvent } = require('../lib/analytics');
+const { updateWorkspaceSettings } = require('../lib/settings');
+const { getSubscriptions } = require('../lib/subscriptions');
+const { formatArticleUnfurl } = require('../lib/unfurl');
+const { saveArticleForUser } = require('../lib/saved');
+const { sleep } = require('../lib/http');
+
+const PLAYBOOK = articleUrl('hybrid-work-playbook');
+const TEAM_ID = 'T0TEST';
+const CHANNEL_ID = 'C0GENERAL';
+
+// Each test searches as its own user so the per-user rate limit doesn't carry over
+let userCount = 0;
+const nextUserId = () => `U0TEST${++userCount}`;
+
+describe('Slack handlers', () => {
+    const { app, listeners, findAction } = createFakeApp();
+    registerHandlers(app);
+    
+    const runCommand = async (text, userId = nextUserId(), responses = {}) => {
+        const ack = recorder();
+        const respond = recorder();
+        const { client, calls } = createMockClient(responses);
+        await listeners.commands.get('/workline')({
+            command: { text, team_id: TEAM_ID, user_id: userId, channel_id: CHANNEL_ID, channel_name: 'general' },
+            ack,
+            respond,
+            client
+        });
+        return { ack, respond, calls };
+    };
+    
+    const runAction = async (actionId, value, { userId = nextUserId(), client } = {}) => {
+        const ack = recorder();
+        const respond = recorder();
+        const mock = client ? { client, calls: [] } : createMockClient();
+        await findAction(actionId)({
+            action: { action_id: actionId, value },
+            body: { user: { id: userId }, team: { id: TEAM_ID }, channel: { id: CHANNEL_ID } },
+            ack,
+            respond,
+            client: mock.client
+        });
+        return { ack, respond, calls: mock.calls };
+    };
+    
+    before(loadArticleFixtures);
+    
+    beforeEach(() => {
+        mockHttp([
+            [googleSearchUrl('hybrid work'), googleFixture('hybrid-work')],
+            [googleSearchUrl('furniture'), googleFixture('no-results')],
+            ...articleRoutes()
+        ]);
+    });
+    
+    it('registers the slash command, events, buttons and shortcut', () => {
+        assert.ok(listeners.commands.has('/workline'));
+        assert.ok(listeners.shortcuts.has('find_workline_articles'));
+        ['app_mention', 'app_home_opened', 'link_shared', 'app_uninstalled'].forEach(name => {
+            assert.ok(listeners.events.has(name), `${name} listener`);
+        });
+        ['share_article', 'save_article', 'related_article', 'results_next', 'read_3'].forEach(actionId => findAction(actionId));
+        assert.equal(listeners.messages.length, 1);
+    });
+    
+    it('shows help for an empty /workline', async () => {
+        const { ack, respond } = await runCommand('');
+        
+        assert.equal(ack.calls.length, 1);
+        assert.equal(respond.calls.length, 1);
+        assert.match(respond.calls[0].blocks[0].text.text, /Welcome to Workline Search/);
+        assert.match(respond.calls[0].blocks.at(-1).text.text, /🌐 Google Search \+ 💾 Local Index/);
+    });
+    
+    it('answers /workline <query> with formatted search results', async () => {
+        const { ack, respond } = await runCommand('hybrid work');
+        
+        assert.equal(ack.calls.length, 1);
+        assert.deepEqual(respond.calls[0], { text: '🔍 Searching for "hybrid work"...', response_type: 'ephemeral' });
+        
+        const results = respond.calls[1];
+        assert.equal(results.replace_original, true);
+        assert.equal(results.blocks[0].text.text, '🎯 *Found 3 results for "hybrid work"*');
+        assert.ok(results.blocks[2].text.text.includes(`|The Hybrid Work Playbook>*`));
+        assert.ok(httpRequests.some(request => request.url.startsWith('https://www.googleapis.com/customsearch/v1')));
+    });
+    
+    it('tells the user when nothing matches', async () => {
+        const { respond } = await runCommand('quantum blockchain');
+        
+        assert.match(respond.calls[1].blocks[0].text.text, /No articles found for \*"quantum blockchain"\*/);
+    });
+    
+    it('searches when a subcommand word starts a query with other words', async () => {
+        const { respond } = await runCommand('history of hybrid work');
+        
+        assert.equal(respond.calls[0].text, '🔍 Searching for "history of hybrid work"...');
+        assert.match(respond.calls[1].blocks[0].text.text, /"history of hybrid work"/);
+    });
+    
+    it('keeps commands and buttons out of channels the workspace has not enabled', async () => {
+        updateWorkspaceSettings(TEAM_ID, { allowedChannels: ['C0ALLOWED'] }, 'U0ADMIN');
+        try {
+            const history = await runCommand('history');
+            const share = await runAction('share_article', PLAYBOOK);
+            const rerun = await runAction('history_rerun_0', 'hybrid work');
+            
+            [history.respond, share.respond, rerun.respond].forEach(respond => {
+                assert.match(respond.calls[0].text, /^🚫 Workline isn't enabled in this channel/);
+                assert.equal(respond.calls.length, 1);
+            });
+            assert.equal(share.calls.length, 0);
+        } finally {
+            updateWorkspaceSettings(TEAM_ID, { allowedChannels: [] }, 'U0ADMIN');
+        }
+    });
+    
+    it('rate limits a user who searches too often', async () => {
+        const userId = nextUserId();
+        for (let i = 0; i < USER_SEARCHES_PER_MINUTE; i++) {
+            await runCommand('furniture', userId);
+        }
+        
+        const { respond } = await runCommand('furniture', userId);
+        
+        assert.equal(respond.calls.length, 1);
+        assert.match(respond.calls[0].text, /that's a lot of searches/);
+    });
+    
+    it('replies to mentions in a thread', async () => {
+        const say = recorder();
+        const { client } = createMockClient();
+        
+        await listeners.events.get('app_mention')({
+            event: { text: '<@U0BOT> furniture', user: nextUserId(), team: TEAM_ID, channel: CHANNEL_ID, ts: '1700000000.000100' },
+            say,
+            client
+        });
+        
+        assert.equal(say.calls.length, 1);
+        assert.equal(say.calls[0].thread_ts, '1700000000.000100');
+        assert.equal(say.calls[0].text, 'Workline results for "furniture"');
+        assert.equal(say.calls[0].blocks[0].text.text, '🎯 *Found 1 result for "furniture"*');
+    });
+    
+    it('answers questions in DMs with quotes from the articles', async () => {
+        const say = recorder();
+        
+        await listeners.messages[0]({
+            message: { text: 'How should we measure office utilization?', user: nextUserId(), team: TEAM_ID, channel_type: 'im' },
+            say
+        });
+        
+        assert.equal(say.calls.length, 1);
+        const { blocks } = say.calls[0];
+        assert.match(blocks[0].text.text, /Here's what the Workline articles say about/);
+        assert.ok(blocks.some(block => block.type === 'section' && block.text.text.startsWith('> ')));
+        assert.ok(blocks.some(block => block.type === 'actions' && block.elements[0].action_id === 'qa_search'));
+    });
+    
+    it('ignores messages outside DMs', async () => {
+        const say = recorder();
+        
+        await listeners.messages[0]({ message: { text: 'hybrid work', user: nextUserId(), channel_type: 'channel' }, say });
+        
+        assert.equal(say.calls.length, 0);
+    });
+    
+    it('opens a modal with key phrases from a message picked with the shortcut', async () => {
+        const ack = recorder();
+        const { client, calls } = createMockClient();
+        
+        await listeners.shortcuts.get('find_workline_articles')({
+            shortcut: {
+                trigger_id: 'trigger-1',
+                user: { id: nextUserId() },
+                team: { id: TEAM_ID },
+                channel: { id: CHANNEL_ID },
+                message: { text: 'Are anchor days better than attendance quotas?', ts: '1700000000.000300', thread_ts: '1700000000.000100' }
+            },
+            ack,
+            client
+        });
+        
+        assert.equal(ack.calls.length, 1);
+        assert.equal(calls[0].method, 'views.open');
+        assert.equal(calls[0].args.trigger_id, 'trigger-1');
+        assert.equal(calls[0].args.view.blocks.at(-1).element.initial_value, 'anchor days attendance quotas');
+        assert.deepEqual(JSON.parse(calls[0].args.view.private_metadata), { c: CHANNEL_ID, t: '1700000000.000100' });
+    });
+    
+    it('posts the refined search into the message thread', async () => {
+        const ack = recorder();
+        const userId = nextUserId();
+        const { client, calls } = createMockClient();
+        
+        await listeners.views.get('find_workline_articles')({
+            ack,
+            body: { user: { id: userId }, team: { id: TEAM_ID } },
+            view: {
+                private_metadata: JSON.stringify({ c: CHANNEL_ID, t: '1700000000.000100' }),
+                state: { values: { query: { value: { value: 'hybrid work' } } } }
+            },
+            client
+        });
+        
+        assert.deepEqual(ack.calls, [undefined]);
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].method, 'chat.postMessage');
+        assert.equal(calls[0].args.channel, CHANNEL_ID);
+        assert.equal(calls[0].args.thread_ts, '1700000000.000100');
+        assert.equal(calls[0].args.blocks[0].elements[0].text, `📚 Requested by <@${userId}>`);
+        assert.equal(calls[0].args.blocks[1].text.text, '🎯 *Found 3 results for "hybrid work"*');
+        assert.ok(!calls[0].args.blocks.some(block => block.type === 'actions' && block.elements.some(button => button.action_id.startsWith('results_'))));
+    });
+    
+    it('keeps the modal open when the refined query is empty', async () => {
+        const ack = recorder();
+        const { client, calls } = createMockClient();
+        
+        await listeners.views.get('find_workline_articles')({
+            ack,
+            body: { user: { id: nextUserId() }, team: { id: TEAM_ID } },
+            view: {
+                private_metadata: JSON.stringify({ c: CHANNEL_ID, t: '1700000000.000100' }),
+                state: { values: { query: { value: { value: ' the ' } } } }
+            },
+            client
+        });
+        
+        assert.deepEqual(ack.calls, [{ response_action: 'errors', errors: { query: 'Enter some keywords to search for.' } }]);
+        assert.equal(calls.length, 0);
+    });
+    
+    it('only reports stats for the admin\'s own workspace', async () => {
+        const admin = { 'users.info': { user: { is_admin: true } }, 'conversations.open': { channel: { id: 'D0ADMIN' } } };
+        await runCommand('anchor days', nextUserId());
+        recordSearchEvent({ query: 'other workspace secret', surface: 'slash', userId: 'U0OTHER', teamId: 'T0OTHER', page: null, startedAt: Date.now() });
+        
+        const { respond } = await runCommand('stats', nextUserId(), admin);
+        const csv = await runCommand('stats csv', nextUserId(), admin);
+        
+        const report = JSON.stringify(respond.calls[0].blocks);
+        assert.ok(report.includes('`anchor days`'));
+        assert.ok(!report.includes('other workspace secret'));
+        const upload = csv.calls.find(call => call.method === 'files.uploadV2');
+        assert.ok(upload.args.content.includes('anchor days'));
+        assert.ok(!upload.args.content.includes('T0OTHER'));
+    });
+    
+    it('escapes article titles in the most-clicked list', async () => {
+        const admin = { 'users.info': { user: { is_admin: true } } };
+        const article = { url: articleUrl('clicked-channel-ping'), title: 'Clicked <!channel>', summary: 'Ping' };
+        storeArticle(article);
+        recordClickEvent({ searchId: 'S0CLICK', query: 'ping', url: article.url, rank: 1, userId: nextUserId(), teamId: TEAM_ID });
+        
+        try {
+            const { respond } = await runCommand('stats', nextUserId(), admin);
+            
+            const report = JSON.stringify(respond.calls[0].blocks);
+            assert.ok(report.includes('|Clicked &lt;!channel&gt;>'));
+            assert.ok(!report.includes('<!channel>'));
+        } finally {
+            removeArticleFromMemory(article.url);
+        }
+    });
+    
+    it('reports a finished admin refresh in a DM rather than through the response URL', async () => {
+        const userId = nextUserId();
+        const admin = { 'users.info': { user: { is_admin: true } }, 'conversations.open': { channel: { id: 'D0ADMIN' } } };
+        
+        const { respond, calls } = await runCommand('admin refresh', userId, admin);
+        for (let i = 0; i < 100 && !calls.some(call => call.method === 'chat.postMessage'); i++) {
+            await sleep(50);
+        }
+        
+        assert.deepEqual(respond.calls, [{ text: "🔄 Refresh started. I'll send you a DM when it finishes." }]);
+        assert.deepEqual(calls.find(call => call.method === 'conversations.open').args, { users: userId });
+        const report = calls.find(call => call.method === 'chat.postMessage');
+        assert.equal(report.args.channel, 'D0ADMIN');
+        assert.match(report.args.text, /^(✅ Refresh finished|❌ Refresh failed)/);
+    });
+    
+    it('saves an article once and lists it under /workline saved', async () => {
+        const userId = nextUserId();
+        
+        const first = await runAction('save_article', PLAYBOOK, { userId });
+        const second = await runAction('save_article', PLAYBOOK, { userId });
+        const { respond } = await runCommand('saved', userId);
+        
+        assert.equal(first.ack.calls.length, 1);
+        assert.match(first.respond.calls[0].text, /^🔖 Saved \*The Hybrid Work Playbook\*/);
+        assert.match(second.respond.calls[0].text, /is already on your reading list/);
+        assert.ok(JSON.stringify(respond.calls[0].blocks).includes(PLAYBOOK));
+    });
+    
+    it('refuses to fetch or store pages outside the Workline archive', async () => {
+        const internal = 'http://10.0.0.5/internal';
+        
+        const { respond } = await runCommand(`related <${internal}>`);
+        const button = await runAction('related_article', internal);
+        const save = await runAction('save_article', internal);
+        
+        assert.match(respond.calls[0].text, /^\*Usage:\*/);
+        assert.match(button.respond.calls[0].text, /only find articles related to a Workline article/);
+        assert.match(save.respond.calls[0].text, /^🔖 Saved/);
+        assert.ok(!httpRequests.some(request => request.url === internal));
+        assert.ok(!findStoredArticle(internal));
+    });
+    
+    it('escapes saved article text on the Home tab', async () => {
+        const userId = nextUserId();
+        saveArticleForUser(userId, { url: articleUrl('q-and-a'), title: 'Q&A <!channel>', summary: 'Desks > people' });
+        const { client, calls } = createMockClient();
+        
+        await listeners.events.get('app_home_opened')({ event: { tab: 'home', user: userId }, context: { teamId: TEAM_ID }, client });
+        
+        const view = JSON.stringify(calls[0].args.view);
+        assert.ok(view.includes('Q&amp;A &lt;!channel&gt;>*\\nDesks &gt; people'));
+        assert.ok(!view.includes('<!channel>'));
+    });
+    
+    it('escapes saved article titles under /workline saved', async () => {
+        const userId = nextUserId();
+        saveArticleForUser(userId, { url: articleUrl('q-and-a'), title: 'Q&A <!channel>', summary: 'Answers' });
+        
+        const { respond } = await runCommand('saved', userId);
+        
+        const blocks = JSON.stringify(respond.calls[0].blocks);
+        assert.ok(blocks.includes('|Q&amp;A &lt;!channel&gt;>*'));
+        assert.ok(!blocks.includes('<!channel>'));
+    });
+    
+    it('escapes shared topics on related articles', async () => {
+        const articles = ['zeppelin-offices', 'zeppelin-desks'].map(slug => ({
+            url: articleUrl(slug),
+            title: `Zeppelin ${slug}`,
+            summary: 'Zeppelinology for hybrid teams',
+            topics: ['<!channel>']
+        }));
+        articles.forEach(storeArticle);
+        
+        try {
+            const { respond } = await runCommand(`related <${articles[0].url}>`);
+            
+            const blocks = JSON.stringify(respond.calls[0].blocks);
+            assert.ok(blocks.includes('🏷️ &lt;!channel&gt;'));
+            assert.ok(!blocks.includes('<!channel>'));
+        } finally {
+            articles.forEach(article => removeArticleFromMemory(article.url));
+        }
+    });
+    
+    it('shares an article card into the channel', async () => {
+        const userId = nextUserId();
+        const { calls } = await runAction('share_article', PLAYBOOK, { userId });
+        
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].method, 'chat.postMessage');
+        assert.equal(calls[0].args.channel, CHANNEL_ID);
+        assert.ok(JSON.stringify(calls[0].args.blocks).includes(`Shared by <@${userId}>`));
+    });
+    
+    it('asks to be invited when sharing into a channel it is not in', async () => {
+        const notInChannel = Object.assign(new Error('An API error occurred: not_in_channel'), { data: { ok: false, error: 'not_in_channel' } });
+        const { client } = createMockClient({ 'chat.postMessage': () => Promise.reject(notInChannel) });
+        
+        const { respond } = await runAction('share_article', PLAYBOOK, { client });
+        
+        assert.match(respond.calls[0].text, /Invite me with `\/invite @Workline`/);
+    });
+    
+    it('only lets the owner remove a subscription with its button', async () => {
+        const owner = nextUserId();
+        await runCommand('subscribe team charters weekly', owner);
+        const { id } = getSubscriptions().find(subscription => subscription.createdBy === owner);
+        
+        const stranger = await runAction('unsubscribe', id);
+        assert.match(stranger.respond.calls[0].text, new RegExp(`^🔒 Only <@${owner}> can remove that subscription`));
+        assert.ok(getSubscriptions().some(subscription => subscription.id === id));
+        
+        const own = await runAction('unsubscribe', id, { userId: owner });
+        assert.equal(own.respond.calls[0].text, '🗑️ Unsubscribed from *team charters*.');
+        assert.ok(!getSubscriptions().some(subscription => subscription.id === id));
+    });
+    
+    it('only lets the owner remove a subscription with /workline unsubscribe', async () => {
+        const owner = nextUserId();
+        await runCommand('subscribe office design weekly', owner);
+        const { id } = getSubscriptions().find(subscription => subscription.createdBy === owner);
+        
+        const byQuery = await runCommand('unsubscribe office design');
+        const all = await runCommand('unsubscribe all');
+        [byQuery, all].forEach(({ respond }) => {
+            assert.equal(respond.calls[0].text, '🔒 Only the person who created a subscription can remove it.');
+        });
+        assert.ok(getSubscriptions().some(subscription => subscription.id === id));
+        
+        const own = await runCommand('unsubscribe office design', owner);
+        assert.equal(own.respond.calls[0].text, '🗑️ Removed 1 subscription.');
+        assert.ok(!getSubscriptions().some(subscription => subscription.id === id));
+    });
+    
+    it('keeps other workspaces\' subscriptions out of the list', async () => {
+        const userId = nextUserId();
+        getSubscriptions().push({ id: 'other-team-sub', teamId: 'T0OTHER', channelId: CHANNEL_ID, userId: null, createdBy: userId, query: 'other workspace topic', frequency: 'daily', pending: [] });
+        
+        const list = await runCommand('subscriptions', userId);
+        const all = await runCommand('unsubscribe all', userId);
+        
+        assert.ok(!JSON.stringify(list.respond.calls[0]).includes('other workspace topic'));
+        assert.match(all.respond.calls[0].text, /^🤷 No subscription/);
+        assert.ok(getSubscriptions().some(subscription => subscription.id === 'other-team-sub'));
+    });
+    
+    it('unfurls Workline article links', async () => {
+        const { client, calls } = createMockClient();
+        
+        await listeners.events.get('link_shared')({
+            event: {
+                channel: CHANNEL_ID,
+                message_ts: '1700000000.000200',
+                links: [{ url: PLAYBOOK, domain: 'flexos.work' }, { url: 'https://example.com/', domain: 'example.com' }]
+            },
+            context: { teamId: TEAM_ID },
+            client
+        });
+        
+        assert.equal(calls.length, 1);
+        assert.equal(calls[0].method, 'chat.unfurl');
+        assert.deepEqual(Object.keys(calls[0].args.unfurls), [PLAYBOOK]);
+        assert.match(calls[0].args.unfurls[PLAYBOOK].blocks[0].text.text, /The Hybrid Work Playbook/);
+    });
+    
+    it('does not unfurl links in channels the workspace has not enabled', async () => {
+        const { client, calls } = createMockClient();
+        const before = httpRequests.length;
+        updateWorkspaceSettings(TEAM_ID, { allowedChannels: ['C0ALLOWED'] }, 'U0ADMIN');
+        try {
+            await listeners.events.get('link_shared')({
+                event: {
+                    channel: CHANNEL_ID,
+                    message_ts: '1700000000.000300',
+                    links: [{ url: articleUrl('never-unfurled'), domain: 'flexos.work' }]
+                },
+                context: { teamId: TEAM_ID },
+                client
+            });
+        } finally {
+            updateWorkspaceSettings(TEAM_ID, { allowedChannels: [] }, 'U0ADMIN');
+        }
+        
+        assert.equal(calls.length, 0);
+        assert.equal(httpRequests.length, before);
+    });
+    
+    it('escapes scraped text in unfurls', () => {
+        const article = { url: PLAYBOOK, title: 'Hybrid <!here> work', summary: '*Bold* claims & more', topics: [] };
+        const { blocks } = formatArticleUnfurl(article, [{ url: articleUrl('measuring-office-utilization'), title: 'Desks > people' }]);
+        
+        assert.equal(blocks[0].text.text, `📰 *<${PLAYBOOK}|Hybrid &lt;!here&gt; work>*\nBold claims &amp; more`);
+        assert.equal(blocks[1].elements[0].text, `📚 *Related:* <${articleUrl('measuring-office-utilization')}|Desks &gt; people>`);
+    });
+});
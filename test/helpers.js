@@ -0,0 +1,146 @@
+// Shared test setup: a scratch data directory, recorded HTTP responses and a fake Bolt app
+// Require this before anything in lib/ - configuration is read from the environment on load
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'workline-test-'));
+process.env.DATA_DIR = DATA_DIR;
+process.env.GOOGLE_API_KEY = 'test-key';
+process.env.GOOGLE_CSE_ID = 'test-cse';
+process.env.SEARCH_PROVIDERS = 'google,cache';
+process.on('exit', () => fs.rmSync(DATA_DIR, { recursive: true, force: true }));
+
+const axios = require('axios');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const ARTICLE_SLUGS = ['hybrid-work-playbook', 'measuring-office-utilization', 'ikea-effect-change-management'];
+
+function articleUrl(slug) {
+    return `https://www.flexos.work/the-workline/${slug}/`;
+}
+
+// Saved Workline pages under fixtures/pages, served as the live site would
+function pageFixture(slug, headers = {}) {
+    return {
+        status: 200,
+        headers: { 'content-type': 'text/html; charset=utf-8', ...headers },
+        data: fs.readFileSync(path.join(FIXTURES_DIR, 'pages', `${slug}.html`), 'utf8')
+    };
+}
+
+// Canned Custom Search API responses under fixtures/google-cse
+function googleFixture(name) {
+    return {
+        status: 200,
+        headers: { 'content-type': 'application/json; charset=UTF-8' },
+        data: JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'google-cse', `${name}.json`), 'utf8'))
+    };
+}
+
+function googleSearchUrl(query) {
+    return new RegExp(`^https://www\\.googleapis\\.com/customsearch/v1\\?.*&q=${encodeURIComponent(query)}&`);
+}
+
+// Every axios request is answered from the routes given to mockHttp(); anything else is a 404
+const httpRequests = [];
+let httpRoutes = [];
+
+function mockHttp(routes) {
+    httpRoutes = routes;
+    httpRequests.length = 0;
+}
+
+// Every saved page at its canonical URL
+function articleRoutes() {
+    return ARTICLE_SLUGS.map(slug => [articleUrl(slug), pageFixture(slug)]);
+}
+
+axios.defaults.adapter = async config => {
+    httpRequests.push({ url: config.url, headers: config.headers });
+    
+    const route = httpRoutes.find(([match]) => match instanceof RegExp ? match.test(config.url) : match === config.url);
+    const { status = 200, headers = {}, data = '' } = route ? (typeof route[1] === 'function' ? await route[1](config) : route[1]) : { status: 404, data: 'Not found' };
+    const response = { status, statusText: String(status), headers, data, config, request: {} };
+    
+    if (!config.validateStatus || config.validateStatus(status)) {
+        return response;
+    }
+    throw new axios.AxiosError(`Request failed with status code ${status}`, axios.AxiosError.ERR_BAD_REQUEST, config, {}, response);
+};
+
+// Scrape the saved pages into the article store, as a crawl would
+async function loadArticleFixtures() {
+    const { scrapeArticle } = require('../lib/scraper');
+    const { storeArticle } = require('../lib/article-store');
+    
+    mockHttp(articleRoutes());
+    for (const slug of ARTICLE_SLUGS) {
+        storeArticle(await scrapeArticle(articleUrl(slug)));
+    }
+}
+
+// Records WebClient calls as { method, args }; `responses` maps 'users.info' etc. to a result or function
+function createMockClient(responses = {}) {
+    const calls = [];
+    const client = new Proxy({}, {
+        get: (target, namespace) => new Proxy({}, {
+            get: (inner, method) => async args => {
+                const name = `${String(namespace)}.${String(method)}`;
+                calls.push({ method: name, args });
+                const response = responses[name];
+                return typeof response === 'function' ? response(args) : { ok: true, ...response };
+            }
+        })
+    });
+    return { client, calls };
+}
+
+// Stands in for a Bolt App: registerHandlers() fills in the listeners, tests call them directly
+function createFakeApp() {
+    const listeners = { commands: new Map(), actions: [], events: new Map(), messages: [], views: new Map(), shortcuts: new Map() };
+    
+    const app = {
+        command: (name, handler) => listeners.commands.set(name, handler),
+        action: (actionId, handler) => listeners.actions.push([actionId, handler]),
+        event: (name, handler) => listeners.events.set(name, handler),
+        message: handler => listeners.messages.push(handler),
+        view: (callbackId, handler) => listeners.views.set(callbackId, handler),
+        shortcut: (callbackId, handler) => listeners.shortcuts.set(callbackId, handler)
+    };
+    
+    const findAction = actionId => {
+        const match = listeners.actions.find(([id]) => id instanceof RegExp ? id.test(actionId) : id === actionId);
+        if (!match) throw new Error(`No action listener for ${actionId}`);
+        return match[1];
+    };
+    
+    return { app, listeners, findAction };
+}
+
+// ack/respond/say stand-ins that remember what they were called with
+function recorder() {
+    const calls = [];
+    const fn = async payload => {
+        calls.push(payload);
+        return { ok: true };
+    };
+    fn.calls = calls;
+    return fn;
+}
+
+module.exports = {
+    DATA_DIR,
+    ARTICLE_SLUGS,
+    articleUrl,
+    pageFixture,
+    googleFixture,
+    googleSearchUrl,
+    httpRequests,
+    mockHttp,
+    articleRoutes,
+    loadArticleFixtures,
+    createMockClient,
+    createFakeApp,
+    recorder
+};
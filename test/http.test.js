@@ -0,0 +1,36 @@
+// Trip circuits after one failure and let them half-open quickly
+process.env.CIRCUIT_FAILURE_THRESHOLD = '1';
+process.env.CIRCUIT_RESET_TIMEOUT = '50';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mockHttp } = require('./helpers');
+const { httpGet, sleep } = require('../lib/http');
+
+const URL = 'https://flaky.example/status';
+
+describe('httpGet circuit breaker', () => {
+    it('fails fast while a circuit is open', async () => {
+        mockHttp([[URL, { status: 503 }]]);
+        
+        await assert.rejects(httpGet(URL, {}, { retries: 0 }), { status: 503 });
+        await assert.rejects(httpGet(URL, {}, { retries: 0 }), { code: 'CIRCUIT_OPEN' });
+    });
+    
+    it('lets a single trial request through once the circuit half-opens', async () => {
+        await sleep(60);
+        let calls = 0;
+        mockHttp([[URL, async () => {
+            calls++;
+            await sleep(20);
+            return { status: 200, data: 'ok' };
+        }]]);
+        
+        const [probe, ...others] = await Promise.allSettled([httpGet(URL), httpGet(URL), httpGet(URL)]);
+        
+        assert.equal(probe.status, 'fulfilled');
+        others.forEach(other => assert.equal(other.reason.code, 'CIRCUIT_OPEN'));
+        assert.equal(calls, 1);
+        assert.equal((await httpGet(URL)).data, 'ok', 'the circuit closes after a successful trial');
+    });
+});
@@ -0,0 +1,95 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { articleUrl, pageFixture, mockHttp, httpRequests } = require('./helpers');
+const { scrapeArticle, recentScrapeFailures } = require('../lib/scraper');
+const { metrics } = require('../lib/metrics');
+
+describe('scrapeArticle', () => {
+    beforeEach(() => {
+        mockHttp([
+            [articleUrl('hybrid-work-playbook'), pageFixture('hybrid-work-playbook', { etag: '"playbook-v2"' })],
+            [articleUrl('measuring-office-utilization'), pageFixture('measuring-office-utilization')]
+        ]);
+    });
+    
+    it('reads title, summary, author and dates from JSON-LD and meta tags', async () => {
+        const article = await scrapeArticle(articleUrl('hybrid-work-playbook'));
+        
+        assert.equal(article.url, articleUrl('hybrid-work-playbook'));
+        assert.equal(article.title, 'The Hybrid Work Playbook');
+        assert.match(article.summary, /^Hybrid work only works when teams agree on why they come together\./);
+        assert.equal(article.author, 'Phil Kirschner');
+        assert.equal(article.publishDate, '2024-03-12T09:00:00.000Z');
+        assert.equal(article.modifiedDate, '2024-04-02T10:30:00.000Z');
+        assert.equal(article.etag, '"playbook-v2"');
+    });
+    
+    it('collects topics from keywords, article:tag and tag links without duplicates', async () => {
+        const article = await scrapeArticle(articleUrl('hybrid-work-playbook'));
+        
+        assert.deepEqual(article.topics, ['hybrid work', 'team charters', 'return to office', 'leadership']);
+    });
+    
+    it('splits the body into sections under each heading', async () => {
+        const article = await scrapeArticle(articleUrl('hybrid-work-playbook'));
+        
+        assert.deepEqual(article.sections.map(section => section.heading), [
+            null,
+            'Start with a team charter',
+            'Anchor days beat attendance quotas',
+            'Measure what matters'
+        ]);
+        assert.equal(article.sections[1].id, 'start-with-a-team-charter');
+        assert.match(article.sections[2].paragraphs[0], /^Anchor days put the people who need each other/);
+        assert.match(article.body, /Review the charter every quarter\./);
+        assert.ok(!article.body.includes('LinkedIn'), 'body comes from <article>, not the page chrome');
+        assert.ok(article.wordCount > 100);
+        assert.equal(article.readingTimeMinutes, 1);
+    });
+    
+    it('keeps links to other archive articles, normalized, and drops tag pages and other sites', async () => {
+        const article = await scrapeArticle(articleUrl('hybrid-work-playbook'));
+        
+        assert.deepEqual(article.links, [
+            articleUrl('measuring-office-utilization'),
+            articleUrl('ikea-effect-change-management')
+        ]);
+    });
+    
+    it('falls back to Open Graph and meta tags on pages without structured data', async () => {
+        const article = await scrapeArticle(articleUrl('measuring-office-utilization'));
+        
+        assert.equal(article.title, 'How to Measure Office Utilization');
+        assert.match(article.summary, /^Occupancy sensors, badge data and desk bookings/);
+        assert.equal(article.author, 'Phil Kirschner');
+        assert.equal(article.publishDate, '2023-11-07T08:00:00.000Z');
+        assert.equal(article.modifiedDate, null);
+        assert.deepEqual(article.topics, ['workplace metrics', 'real estate']);
+        assert.deepEqual(article.sections.filter(section => section.heading).map(section => [section.heading, section.level]), [
+            ['Badge data', 3],
+            ['Occupancy sensors', 3],
+            ['Desk bookings', 3]
+        ]);
+    });
+    
+    it('makes a conditional request and keeps the stored copy when the page is unchanged', async () => {
+        const previous = { url: articleUrl('hybrid-work-playbook'), title: 'Stored copy', etag: '"playbook-v1"', checkedAt: '2024-01-01T00:00:00.000Z' };
+        mockHttp([[articleUrl('hybrid-work-playbook'), { status: 304 }]]);
+        
+        const article = await scrapeArticle(previous.url, previous);
+        
+        assert.equal(httpRequests[0].headers['If-None-Match'], '"playbook-v1"');
+        assert.equal(article.title, 'Stored copy');
+        assert.notEqual(article.checkedAt, previous.checkedAt);
+    });
+    
+    it('returns null and records the failure when the page is missing', async () => {
+        const failuresBefore = metrics.scrapeFailures;
+        
+        const article = await scrapeArticle(articleUrl('no-such-article'));
+        
+        assert.equal(article, null);
+        assert.equal(metrics.scrapeFailures, failuresBefore + 1);
+        assert.equal(recentScrapeFailures[recentScrapeFailures.length - 1].url, articleUrl('no-such-article'));
+    });
+});
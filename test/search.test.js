@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    articleUrl, googleFixture, googleSearchUrl, httpRequests, mockHttp, articleRoutes, loadArticleFixtures
+} = require('./helpers');
+const { searchCachedArticles, findProvider, createFakeProvider } = require('../lib/providers');
+const { searchWorklineArticles } = require('../lib/search');
+const { removeArticleFromMemory, storeArticle } = require('../lib/article-store');
+const { parseSearchQuery } = require('../lib/search-index');
+const { WORKLINE_FEED_URL } = require('../lib/config');
+
+const PLAYBOOK = articleUrl('hybrid-work-playbook');
+const UTILIZATION = articleUrl('measuring-office-utilization');
+const IKEA = articleUrl('ikea-effect-change-management');
+
+const urlsOf = results => results.map(result => result.url);
+
+describe('searchCachedArticles', () => {
+    before(loadArticleFixtures);
+    
+    it('ranks title matches above passing mentions in the body', async () => {
+        const results = await searchCachedArticles('hybrid work');
+        
+        assert.deepEqual(urlsOf(results), [PLAYBOOK, UTILIZATION]);
+        assert.ok(results[0].score > results[1].score);
+        assert.ok(results.every(result => result.source === 'cache'));
+    });
+    
+    it('finds terms that only appear in the article body', async () => {
+        const results = await searchCachedArticles('furniture');
+        
+        assert.deepEqual(urlsOf(results), [IKEA]);
+    });
+    
+    it('deep-links to the section that best matches the query', async () => {
+        const [result] = await searchCachedArticles('anchor days');
+        
+        assert.equal(result.url, PLAYBOOK);
+        assert.deepEqual(result.matchedSection, {
+            heading: 'Anchor days beat attendance quotas',
+            url: `${PLAYBOOK}#:~:text=Anchor%20days%20beat%20attendance%20quotas`
+        });
+    });
+    
+    it('applies phrases, exclusions and topic filters', async () => {
+        assert.deepEqual(urlsOf(await searchCachedArticles('"team charter"')), [PLAYBOOK]);
+        assert.deepEqual(urlsOf(await searchCachedArticles('hybrid -sensors')), [PLAYBOOK]);
+        assert.deepEqual(urlsOf(await searchCachedArticles('office topic:metrics')), [UTILIZATION]);
+    });
+    
+    it('lists filter-only queries newest first', async () => {
+        const results = await searchCachedArticles('topic:leadership');
+        
+        assert.deepEqual(urlsOf(results), [PLAYBOOK, IKEA]);
+    });
+    
+    it('returns nothing for an empty query', async () => {
+        assert.deepEqual(await searchCachedArticles('   '), []);
+    });
+});
+
+describe('searchWorklineArticles', () => {
+    const providers = [findProvider('google'), findProvider('cache')];
+    
+    before(loadArticleFixtures);
+    
+    beforeEach(() => {
+        mockHttp([
+            [googleSearchUrl('hybrid work'), googleFixture('hybrid-work')],
+            [googleSearchUrl('furniture'), googleFixture('no-results')],
+            ...articleRoutes()
+        ]);
+    });
+    
+    it('merges Google and local results into one ranking without duplicates', async () => {
+        const page = await searchWorklineArticles('hybrid work', { providers, limit: 5 });
+        
+        // Google's tag page and off-site hits are dropped; URL variants collapse into one result
+        assert.deepEqual(urlsOf(page.results), [PLAYBOOK, UTILIZATION, IKEA]);
+        assert.deepEqual(page.results[0].foundBy, [{ source: 'google', rank: 1 }, { source: 'cache', rank: 1 }]);
+        assert.deepEqual(page.results[2].foundBy, [{ source: 'google', rank: 3 }]);
+        assert.equal(page.total, 3);
+        assert.equal(page.hasMore, false);
+        assert.equal(page.totalIsExact, true);
+    });
+    
+    it('fills Google hits in from the article store', async () => {
+        const page = await searchWorklineArticles('hybrid work', { providers, limit: 5 });
+        const ikea = page.results.find(result => result.url === IKEA);
+        
+        assert.equal(ikea.title, 'The IKEA Effect and Change Management');
+        assert.deepEqual(ikea.topics, ['change management', 'employee experience', 'leadership']);
+        assert.equal(httpRequests.filter(request => request.url.includes('/the-workline/')).length, 0);
+    });
+    
+    it('scrapes Google hits that are not cached yet', async () => {
+        const removed = removeArticleFromMemory(UTILIZATION);
+        try {
+            const page = await searchWorklineArticles('hybrid work', { providers: [findProvider('google')], limit: 5 });
+            const utilization = page.results.find(result => result.url === UTILIZATION);
+            
+            assert.ok(httpRequests.some(request => request.url === UTILIZATION));
+            assert.equal(utilization.title, 'How to Measure Office Utilization');
+            assert.equal(utilization.source, 'google');
+        } finally {
+            storeArticle(removed);
+        }
+    });
+    
+    it('pages through the same merged results', async () => {
+        const first = await searchWorklineArticles('hybrid work', { providers, limit: 2 });
+        const second = await searchWorklineArticles('hybrid work', { providers, limit: 2, offset: 2, resultSetId: first.resultSetId });
+        
+        assert.deepEqual(urlsOf(first.results), [PLAYBOOK, UTILIZATION]);
+        assert.equal(first.hasMore, true);
+        assert.deepEqual(urlsOf(second.results), [IKEA]);
+        assert.equal(second.resultSetId, first.resultSetId);
+        assert.equal(httpRequests.filter(request => request.url.startsWith('https://www.googleapis.com/')).length, 1);
+    });
+    
+    it('loads each provider page once when pages of one result set load at the same time', async () => {
+        const fake = createFakeProvider({
+            pageSize: 2,
+            results: ['a', 'b', 'c', 'd', 'e', 'f'].map(slug => ({ url: articleUrl(slug), title: slug }))
+        });
+        const starts = [];
+        const provider = { ...fake, search: (query, options) => { starts.push(options.start); return fake.search(query, options); } };
+        
+        const first = await searchWorklineArticles('paging', { providers: [provider], limit: 2 });
+        const [a, b] = await Promise.all([
+            searchWorklineArticles('paging', { providers: [provider], limit: 2, offset: 2, resultSetId: first.resultSetId }),
+            searchWorklineArticles('paging', { providers: [provider], limit: 3, offset: 2, resultSetId: first.resultSetId })
+        ]);
+        
+        assert.deepEqual(starts, [0, 2, 4]);
+        assert.deepEqual(urlsOf(a.results), [articleUrl('c'), articleUrl('d')]);
+        assert.deepEqual(urlsOf(b.results), [articleUrl('c'), articleUrl('d'), articleUrl('e')]);
+        assert.ok(b.results.every(result => result.foundBy.length === 1));
+    });
+    
+    it('shares one set of provider calls between identical searches in flight', async () => {
+        const [a, b] = await Promise.all([
+            searchWorklineArticles('hybrid work', { providers }),
+            searchWorklineArticles('hybrid work', { providers })
+        ]);
+        
+        assert.deepEqual(a.results, b.results);
+        assert.equal(a.resultSetId, b.resultSetId);
+        assert.notEqual(a.searchId, b.searchId, 'each caller is logged as its own search');
+        assert.equal(httpRequests.filter(request => request.url.startsWith('https://www.googleapis.com/')).length, 1);
+    });
+    
+    it('falls back to the local index when Google has nothing', async () => {
+        const page = await searchWorklineArticles('furniture', { providers });
+        
+        assert.deepEqual(urlsOf(page.results), [IKEA]);
+        assert.deepEqual(page.results[0].foundBy, [{ source: 'cache', rank: 1 }]);
+    });
+    
+    it('leaves out a provider that fails', async () => {
+        const failing = createFakeProvider({ name: 'broken', error: new Error('Service unavailable') });
+        const page = await searchWorklineArticles('furniture', { providers: [failing, findProvider('cache')] });
+        
+        assert.deepEqual(urlsOf(page.results), [IKEA]);
+        assert.equal(page.hasMore, false);
+    });
+});
+
+describe('RSS feed provider', () => {
+    const rss = findProvider('rss');
+    const feed = {
+        status: 200,
+        headers: { 'content-type': 'application/rss+xml; charset=UTF-8' },
+        data: fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', 'workline.xml'), 'utf8')
+    };
+    const searchFeed = async query => (await rss.search(query, { parsed: parseSearchQuery(query) })).results;
+    
+    beforeEach(() => {
+        mockHttp([[WORKLINE_FEED_URL, feed]]);
+    });
+    
+    it('matches feed items on title, topics and summary', async () => {
+        assert.deepEqual(urlsOf(await searchFeed('desk sharing')), [articleUrl('desk-sharing-without-the-drama')]);
+    });
+    
+    it('applies exclusions, topic and date filters', async () => {
+        assert.deepEqual(urlsOf(await searchFeed('office -sensors')), [articleUrl('desk-sharing-without-the-drama')]);
+        assert.deepEqual(urlsOf(await searchFeed('topic:metrics')), [articleUrl('why-office-sensors-mislead')]);
+        assert.deepEqual(urlsOf(await searchFeed('after:2024-03')), [articleUrl('desk-sharing-without-the-drama')]);
+    });
+    
+    it('returns nothing for stopword-only or exclusion-only queries', async () => {
+        assert.deepEqual(await searchFeed('the and of'), []);
+        assert.deepEqual(await searchFeed('-office'), []);
+    });
+});